@@ -3,1430 +3,8164 @@
  * Handles language switching, mobile menu, active link highlighting, and accessibility
  */
 
-// Translation data for multi-language support
-const translations = {
-    en: {
-        home: 'Home',
-        about: 'About',
-        services: 'Services',
-        projects: 'Projects',
-        reviews: 'Reviews',
-        contact: 'Contact Us'
-    },
-    es: {
-        home: 'Inicio',
-        about: 'Acerca de',
-        services: 'Servicios',
-        projects: 'Proyectos',
-        reviews: 'Reseñas',
-        contact: 'Contáctanos'
-    },
-    ur: {
-        home: 'ہوم',
-        about: 'کے بارے میں',
-        services: 'خدمات',
-        projects: 'پروجیکٹس',
-        reviews: 'جائزے',
-        contact: 'رابطہ کریں'
-    }
+// Languages the page can be served in; strings live in locales/<code>.json
+const languages = {
+    en: { name: 'English', nativeName: 'English', label: 'EN', dir: 'ltr', locale: 'en_GB' },
+    es: { name: 'Spanish', nativeName: 'Español', label: 'ES', dir: 'ltr', locale: 'es_ES' },
+    ur: { name: 'Urdu', nativeName: 'اردو', label: 'UR', dir: 'rtl', locale: 'ur_PK' }
 };
 
 /**
- * Services Section Controller
- * Handles service card interactions, tilt effects, and animations
+ * Internationalization Service
+ * Loads per-locale JSON bundles and applies them to the page.
+ *
+ * Markup hooks:
+ * - data-i18n="key"                  replaces textContent
+ * - data-i18n-html="key"             replaces innerHTML (for strings with inline markup)
+ * - data-i18n-attr="attr:key;..."    replaces attributes (aria-label, title, placeholder, alt, content)
+ * - data-i18n-params='{"year": 2025}' interpolation values for the keys above
  */
-class ServicesController {
-    constructor() {
-        this.serviceCards = document.querySelectorAll('.service-card');
-        this.servicesSection = document.querySelector('.services');
-        
-        this.init();
-    }
-
+class I18n {
     /**
-     * Initialize services section functionality
+     * @param {Object} [options]
+     * @param {string} [options.basePath='locales/'] - Directory holding the <code>.json bundles
+     * @param {string} [options.defaultLanguage='en'] - Last entry of every fallback chain
      */
-    init() {
-        this.setupCardInteractions();
-        this.setupTiltEffects();
-        this.setupScrollAnimations();
-        this.setupKeyboardNavigation();
-        
-        console.log('Services controller initialized successfully');
+    constructor({ basePath = 'locales/', defaultLanguage = 'en' } = {}) {
+        this.basePath = basePath;
+        this.defaultLanguage = defaultLanguage;
+        this.language = defaultLanguage;
+        // The default bundle answers lookups until setLanguage() resolves
+        this.chain = [defaultLanguage];
+        this.bundles = {};
+        this.requests = {};
+        this.missingKeys = new Set();
     }
 
     /**
-     * Set up service card click interactions
+     * Load the bundles for a language and make it current
+     * @param {string} langCode - Language code (en, es, ur, es-MX, …)
+     * @returns {Promise<string>} Resolves with the active language code
      */
-    setupCardInteractions() {
-        this.serviceCards.forEach((card, index) => {
-            card.addEventListener('click', (e) => {
-                // Don't trigger card click if CTA button was clicked
-                if (!e.target.classList.contains('card-cta')) {
-                    this.handleCardClick(card, index);
-                }
-            });
-        });
-        
-        // Handle CTA button clicks separately
-        const ctaButtons = document.querySelectorAll('.card-cta');
-        ctaButtons.forEach((button, index) => {
-            button.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.handleCTAClick(button, index);
-            });
+    setLanguage(langCode) {
+        const chain = this.getFallbackChain(langCode);
+
+        return Promise.all(chain.map(code => this.loadBundle(code))).then(() => {
+            this.language = langCode;
+            this.chain = chain;
+            this.missingKeys.clear();
+            return langCode;
         });
     }
 
     /**
-     * Set up hover tilt effects for service cards
+     * Build the lookup order for a language, e.g. es-MX → es-MX, es, en
+     * @param {string} langCode - Requested language code
+     * @returns {string[]} Language codes to search in order
      */
-    setupTiltEffects() {
-        this.serviceCards.forEach(card => {
-            if (!card.hasAttribute('data-tilt')) return;
-            
-            card.addEventListener('mouseenter', () => {
-                card.style.transition = 'transform 0.1s ease-out';
-            });
-            
-            card.addEventListener('mousemove', (e) => {
-                if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) return;
-                this.applyTiltEffect(card, e);
-            });
-            
-            card.addEventListener('mouseleave', () => {
-                this.resetTilt(card);
-            });
-        });
+    getFallbackChain(langCode) {
+        const chain = [langCode];
+        const baseLanguage = langCode.split('-')[0];
+
+        if (baseLanguage !== langCode) {
+            chain.push(baseLanguage);
+        }
+        if (!chain.includes(this.defaultLanguage)) {
+            chain.push(this.defaultLanguage);
+        }
+        return chain;
     }
 
     /**
-     * Apply tilt effect based on mouse position
-     * @param {HTMLElement} card - Service card element
-     * @param {MouseEvent} e - Mouse event
+     * Fetch a locale bundle once; failures resolve to an empty bundle so the chain can fall through
+     * @param {string} langCode - Language code
+     * @returns {Promise<Object>} Parsed bundle
      */
-    applyTiltEffect(card, e) {
-        const rect = card.getBoundingClientRect();
-        const centerX = rect.left + rect.width / 2;
-        const centerY = rect.top + rect.height / 2;
-        
-        const mouseX = e.clientX - centerX;
-        const mouseY = e.clientY - centerY;
-        
-        // Limit tilt to 6-8 degrees as specified
-        const maxTilt = 7;
-        const tiltX = (mouseY / (rect.height / 2)) * maxTilt;
-        const tiltY = (mouseX / (rect.width / 2)) * maxTilt;
-        
-        // Clamp values
-        const clampedTiltX = Math.max(-maxTilt, Math.min(maxTilt, -tiltX));
-        const clampedTiltY = Math.max(-maxTilt, Math.min(maxTilt, tiltY));
-        
-        card.style.transform = `perspective(1000px) rotateX(${clampedTiltX}deg) rotateY(${clampedTiltY}deg) translateY(-8px) scale(1.02)`;
+    loadBundle(langCode) {
+        if (!this.requests[langCode]) {
+            this.requests[langCode] = fetch(`${this.basePath}${langCode}.json`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    if (languages[langCode]) {
+                        console.warn(`Could not load "${langCode}" translations:`, error);
+                    }
+                    return {};
+                })
+                .then(bundle => {
+                    this.bundles[langCode] = bundle;
+                    return bundle;
+                });
+        }
+        return this.requests[langCode];
     }
 
     /**
-     * Reset tilt effect to normal state
-     * @param {HTMLElement} card - Service card element
+     * Find the raw value for a dotted key along the fallback chain
+     * @param {string} key - Dotted key, e.g. "services.items.googleAds.title"
+     * @param {string[]} [chain] - Language codes to search, defaults to the active chain
+     * @returns {*} Bundle value, or undefined
      */
-    resetTilt(card) {
-        card.style.transition = 'transform 0.3s cubic-bezier(0.4, 0, 0.2, 1)';
-        card.style.transform = '';
+    lookup(key, chain = this.chain) {
+        for (const langCode of chain) {
+            const value = key.split('.').reduce(
+                (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+                this.bundles[langCode]
+            );
+            if (value !== undefined) {
+                return value;
+            }
+        }
+        return undefined;
     }
 
     /**
-     * Set up scroll animations with staggered reveal
+     * Translate a key
+     * @param {string} key - Dotted key
+     * @param {Object} [params] - Interpolation values; `count` selects a plural form,
+     *                            `defaultValue` is used when no bundle has the key,
+     *                            `lng` translates into a language other than the active one
+     *                            (its bundle must already be loaded)
+     * @returns {string} Translated string
      */
-    setupScrollAnimations() {
-        if ('IntersectionObserver' in window) {
-            const observer = new IntersectionObserver((entries) => {
-                entries.forEach((entry, index) => {
-                    if (entry.isIntersecting) {
-                        // Staggered animation delay
-                        setTimeout(() => {
-                            entry.target.classList.add('animate-in');
-                        }, index * 100);
-                    }
-                });
-            }, {
-                threshold: 0.2,
-                rootMargin: '0px 0px -50px 0px'
-            });
+    t(key, params = {}) {
+        const language = params.lng || this.language;
+        let value = this.lookup(key, params.lng ? this.getFallbackChain(params.lng) : this.chain);
 
-            // Observe service cards
-            this.serviceCards.forEach(card => {
-                observer.observe(card);
-            });
-            
-            // Observe services header
-            const servicesHeader = document.querySelector('.services-header');
-            if (servicesHeader) {
-                observer.observe(servicesHeader);
-            }
+        // Plural entries are objects keyed by Intl.PluralRules category (one, few, many, other…)
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            const category = typeof params.count === 'number'
+                ? new Intl.PluralRules(language).select(params.count)
+                : 'other';
+            value = value[category] !== undefined ? value[category] : value.other;
+        }
+
+        if (typeof value !== 'string') {
+            this.missingKeys.add(key);
+            value = params.defaultValue !== undefined ? params.defaultValue : key;
         }
+
+        return this.interpolate(value, params);
     }
 
     /**
-     * Set up keyboard navigation for service cards
+     * Replace {{name}} placeholders
+     * @param {string} template - String with placeholders
+     * @param {Object} params - Placeholder values
+     * @param {Function} [escape] - Applied to each inserted value
+     * @returns {string} Interpolated string
      */
-    setupKeyboardNavigation() {
-        this.serviceCards.forEach((card, index) => {
-            // Make cards focusable
-            card.setAttribute('tabindex', '0');
-            
-            card.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.handleCardClick(card, index);
-                }
-                
-                // Arrow key navigation
-                if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
-                    e.preventDefault();
-                    this.focusNextCard(index);
-                }
-                
-                if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
-                    e.preventDefault();
-                    this.focusPreviousCard(index);
-                }
-            });
+    interpolate(template, params, escape = value => value) {
+        return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+            params[name] !== undefined ? escape(String(params[name])) : match
+        ));
+    }
+
+    /**
+     * Apply the current language to every annotated element under a root
+     * @param {ParentNode} [root=document] - Subtree to translate
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const value = this.translateElementKey(element, element.dataset.i18n);
+            if (value !== null) {
+                element.textContent = value;
+            }
         });
-        
-        // Setup keyboard navigation for CTA buttons
-        const ctaButtons = document.querySelectorAll('.card-cta');
-        ctaButtons.forEach((button, index) => {
-            button.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.handleCTAClick(button, index);
+
+        root.querySelectorAll('[data-i18n-html]').forEach(element => {
+            const value = this.translateElementKey(element, element.dataset.i18nHtml, true);
+            if (value !== null) {
+                element.innerHTML = value;
+            }
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (!attribute || !key) return;
+
+                const value = this.translateElementKey(element, key);
+                if (value !== null) {
+                    element.setAttribute(attribute, value);
                 }
             });
         });
     }
 
     /**
-     * Handle service card click/activation
-     * @param {HTMLElement} card - Clicked card
-     * @param {number} index - Card index
+     * Resolve one key for an element, leaving the markup untouched when it is missing
+     * @param {HTMLElement} element - Annotated element
+     * @param {string} key - Dotted key
+     * @param {boolean} [isHTML=false] - Escape interpolated values for innerHTML
+     * @returns {string|null} Translated string, or null when no bundle has the key
      */
-    handleCardClick(card, index) {
-        const cardTitle = card.querySelector('.card-title').textContent;
-        
-        // Add active class for visual feedback
-        card.classList.add('active');
-        
-        setTimeout(() => {
-            card.classList.remove('active');
-        }, 200);
-        
-        // In a real application, this would navigate or show more details
-        console.log(`Service card clicked: ${cardTitle}`);
-        
-        // For demo, show notification
-        this.showServiceNotification(cardTitle);
-        
-        // Announce to screen readers
-        this.announceToScreenReader(`Selected ${cardTitle} service`);
+    translateElementKey(element, key, isHTML = false) {
+        const value = this.lookup(key);
+        if (typeof value !== 'string') {
+            this.missingKeys.add(key);
+            return null;
+        }
+
+        let params = {};
+        if (element.dataset.i18nParams) {
+            try {
+                params = JSON.parse(element.dataset.i18nParams);
+            } catch (error) {
+                console.warn(`Invalid data-i18n-params on element for "${key}":`, error);
+            }
+        }
+
+        return this.interpolate(value, params, isHTML ? this.escapeHTML : undefined);
     }
 
     /**
-     * Handle CTA button click
-     * @param {HTMLElement} button - Clicked CTA button
-     * @param {number} index - Button index
+     * Escape a value for safe insertion into innerHTML
+     * @param {string} value - Raw value
+     * @returns {string} Escaped value
      */
-    handleCTAClick(button, index) {
-        const card = button.closest('.service-card');
-        const cardTitle = card.querySelector('.card-title').textContent;
-        const ctaText = button.textContent.trim();
-        
-        // Add active class for visual feedback
-        button.classList.add('active');
-        card.classList.add('active');
-        
-        setTimeout(() => {
-            button.classList.remove('active');
-            card.classList.remove('active');
-        }, 200);
-        
-        // In a real application, this would open contact form or service page
-        console.log(`CTA clicked: ${ctaText} for ${cardTitle}`);
-        
-        // For demo, show specific CTA notification
-        this.showCTANotification(cardTitle, ctaText);
-        
-        // Announce to screen readers
-        this.announceToScreenReader(`${ctaText} for ${cardTitle} service`);
+    escapeHTML(value) {
+        return value
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
+}
+
+const i18n = new I18n();
 
+/**
+ * Locale Router
+ * Resolves the page language from the URL, saved preference, or browser settings,
+ * and keeps the URL, hreflang alternates, and og:locale tags in sync with it.
+ *
+ * Supported URL forms: ?lang=es and a leading path segment such as /es/ or /ur/index.html
+ */
+class LocaleRouter {
     /**
-     * Focus next service card
-     * @param {number} currentIndex - Current card index
+     * @param {Object} [options]
+     * @param {string} [options.param='lang'] - Query parameter carrying the language
+     * @param {string} [options.storageKey='selectedLanguage'] - localStorage key of the saved preference
+     * @param {string} [options.defaultLanguage='en'] - Language served on the bare URL
      */
-    focusNextCard(currentIndex) {
-        const nextIndex = (currentIndex + 1) % this.serviceCards.length;
-        this.serviceCards[nextIndex].focus();
+    constructor({ param = 'lang', storageKey = 'selectedLanguage', defaultLanguage = 'en' } = {}) {
+        this.param = param;
+        this.storageKey = storageKey;
+        this.defaultLanguage = defaultLanguage;
+
+        // Keep using the path prefix form if that is how the page was reached
+        this.usePathPrefix = Boolean(this.getPathLanguage());
     }
 
     /**
-     * Focus previous service card
-     * @param {number} currentIndex - Current card index
+     * Pick the initial language: URL first, then saved preference, then the default
+     * @returns {{language: string, source: string}} Resolved language and where it came from
      */
-    focusPreviousCard(currentIndex) {
-        const prevIndex = currentIndex === 0 ? this.serviceCards.length - 1 : currentIndex - 1;
-        this.serviceCards[prevIndex].focus();
+    resolve() {
+        const urlLanguage = this.getURLLanguage();
+        if (urlLanguage) {
+            return { language: urlLanguage, source: 'url' };
+        }
+
+        const savedLanguage = this.getSavedLanguage();
+        if (savedLanguage) {
+            return { language: savedLanguage, source: 'saved' };
+        }
+
+        return { language: this.defaultLanguage, source: 'default' };
     }
 
     /**
-     * Show service-specific notification
-     * @param {string} serviceName - Name of the service
-     */
-    showServiceNotification(serviceName) {
-        const notification = document.createElement('div');
-        notification.className = 'service-notification';
-        notification.textContent = `Learn more about our ${serviceName} service`;
-        notification.style.cssText = `
-            position: fixed;
-            bottom: 20px;
-            right: 20px;
-            background: rgba(91, 42, 224, 0.95);
-            color: white;
-            padding: 1rem 1.5rem;
-            border-radius: var(--border-radius);
-            backdrop-filter: blur(10px);
-            box-shadow: 
-                8px 8px 16px var(--shadow-dark),
-                -8px -8px 16px var(--shadow-light);
-            z-index: 10000;
-            opacity: 0;
-            transform: translateY(20px);
-            transition: all 0.3s ease;
-            max-width: 300px;
-            font-size: 0.9rem;
-            font-weight: 500;
-        `;
-        
-        document.body.appendChild(notification);
-        
-        // Animate in
-        setTimeout(() => {
-            notification.style.opacity = '1';
-            notification.style.transform = 'translateY(0)';
-        }, 100);
-        
-        // Remove after delay
-        setTimeout(() => {
-            notification.style.opacity = '0';
-            notification.style.transform = 'translateY(20px)';
-            setTimeout(() => {
-                notification.remove();
-            }, 300);
-        }, 3000);
-    }
-
-    /**
-     * Show CTA-specific notification
-     * @param {string} serviceName - Name of the service
-     * @param {string} ctaText - CTA button text
-     */
-    showCTANotification(serviceName, ctaText) {
-        const notification = document.createElement('div');
-        notification.className = 'cta-notification';
-        notification.textContent = `Ready to ${ctaText.toLowerCase()}? Let's get started!`;
-        notification.style.cssText = `
-            position: fixed;
-            bottom: 20px;
-            right: 20px;
-            background: linear-gradient(135deg, var(--accent-color), var(--accent-secondary));
-            color: white;
-            padding: 1rem 1.5rem;
-            border-radius: var(--border-radius);
-            backdrop-filter: blur(10px);
-            box-shadow: 
-                8px 8px 16px var(--shadow-dark),
-                -8px -8px 16px var(--shadow-light);
-            z-index: 10000;
-            opacity: 0;
-            transform: translateY(20px);
-            transition: all 0.3s ease;
-            max-width: 320px;
-            font-size: 0.9rem;
-            font-weight: 600;
-        `;
-        
-        document.body.appendChild(notification);
-        
-        // Animate in
-        setTimeout(() => {
-            notification.style.opacity = '1';
-            notification.style.transform = 'translateY(0)';
-        }, 100);
-        
-        // Remove after delay
-        setTimeout(() => {
-            notification.style.opacity = '0';
-            notification.style.transform = 'translateY(20px)';
-            setTimeout(() => {
-                notification.remove();
-            }, 300);
-        }, 4000);
+     * Language requested by the URL (?lang= wins over a path prefix)
+     * @returns {string|null} Supported language code, or null
+     */
+    getURLLanguage() {
+        const queryLanguage = new URLSearchParams(window.location.search).get(this.param);
+        return this.matchLanguage(queryLanguage) || this.getPathLanguage();
     }
 
     /**
-     * Announce messages to screen readers
-     * @param {string} message - Message to announce
+     * Language named by the first path segment, e.g. /es/
+     * @returns {string|null} Supported language code, or null
      */
-    announceToScreenReader(message) {
-        const announcement = document.createElement('div');
-        announcement.setAttribute('aria-live', 'polite');
-        announcement.setAttribute('aria-atomic', 'true');
-        announcement.classList.add('sr-only');
-        announcement.textContent = message;
-        
-        document.body.appendChild(announcement);
-        
-        setTimeout(() => {
-            document.body.removeChild(announcement);
-        }, 1000);
+    getPathLanguage() {
+        const firstSegment = window.location.pathname.split('/')[1];
+        return languages[firstSegment] ? firstSegment : null;
     }
-}
 
-/**
- * Hero Section Controller
- * Handles hero section interactions and accessibility
- */
-class HeroController {
-    constructor() {
-        this.primaryBtn = document.querySelector('.btn-primary');
-        this.secondaryBtn = document.querySelector('.btn-secondary');
-        this.heroSection = document.querySelector('.hero');
-        
-        this.init();
+    /**
+     * Language saved by a previous visit
+     * @returns {string|null} Supported language code, or null
+     */
+    getSavedLanguage() {
+        try {
+            return this.matchLanguage(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            console.warn('Could not load language from localStorage:', error);
+            return null;
+        }
     }
 
     /**
-     * Initialize hero section functionality
+     * First supported language from the browser's preference list
+     * @returns {string|null} Supported language code, or null
      */
-    init() {
-        this.setupButtonInteractions();
-        this.setupKeyboardNavigation();
-        this.setupScrollAnimations();
-        
-        console.log('Hero controller initialized successfully');
+    getBrowserLanguage() {
+        const preferred = navigator.languages && navigator.languages.length
+            ? navigator.languages
+            : [navigator.language];
+
+        for (const tag of preferred) {
+            const match = this.matchLanguage(tag);
+            if (match) {
+                return match;
+            }
+        }
+        return null;
     }
 
     /**
-     * Set up button click and interaction handlers
+     * Map a language tag (es, es-MX, UR) onto a supported language code
+     * @param {string|null} tag - BCP 47 language tag
+     * @returns {string|null} Supported language code, or null
      */
-    setupButtonInteractions() {
-        // Primary button (Read More) click handler
-        if (this.primaryBtn) {
-            this.primaryBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.handleReadMoreClick();
-            });
+    matchLanguage(tag) {
+        if (!tag) return null;
+
+        const normalized = tag.toLowerCase();
+        if (languages[normalized]) {
+            return normalized;
         }
 
-        // Secondary button (Contact Us) click handler
-        if (this.secondaryBtn) {
-            this.secondaryBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.handleContactClick();
-            });
+        const baseLanguage = normalized.split('-')[0];
+        return languages[baseLanguage] ? baseLanguage : null;
+    }
+
+    /**
+     * Build the URL of this page in a given language
+     * @param {string} langCode - Language code
+     * @param {Object} [options]
+     * @param {boolean} [options.keepHash=true] - Carry the current hash over
+     * @returns {URL} Localized URL
+     */
+    buildURL(langCode, { keepHash = true } = {}) {
+        const url = new URL(window.location.href);
+        const isDefault = langCode === this.defaultLanguage;
+
+        if (!keepHash) {
+            url.hash = '';
         }
 
-        // Add ripple effect to buttons
-        document.querySelectorAll('.btn').forEach(button => {
-            button.addEventListener('click', (e) => {
-                this.createRippleEffect(e, button);
-            });
-        });
+        if (this.usePathPrefix) {
+            const segments = url.pathname.split('/');
+            if (languages[segments[1]]) {
+                segments.splice(1, 1);
+            }
+            if (!isDefault) {
+                segments.splice(1, 0, langCode);
+            }
+            url.pathname = segments.join('/') || '/';
+            url.searchParams.delete(this.param);
+        } else if (isDefault) {
+            url.searchParams.delete(this.param);
+        } else {
+            url.searchParams.set(this.param, langCode);
+        }
+
+        return url;
     }
 
     /**
-     * Set up keyboard navigation for buttons
+     * Reflect the active language in the address bar without adding a history entry
+     * @param {string} langCode - Language code
      */
-    setupKeyboardNavigation() {
-        document.querySelectorAll('.btn').forEach(button => {
-            button.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    button.click();
-                }
-            });
-        });
+    updateURL(langCode) {
+        const url = this.buildURL(langCode);
+        if (url.href !== window.location.href) {
+            history.replaceState(history.state, '', url.href);
+        }
     }
 
     /**
-     * Set up scroll animations for hero section
+     * Keep <link rel="alternate" hreflang> and og:locale tags in sync with the active language
+     * @param {string} langCode - Language code
      */
-    setupScrollAnimations() {
-        if ('IntersectionObserver' in window) {
-            const observer = new IntersectionObserver((entries) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        entry.target.classList.add('animate-in');
-                    }
-                });
-            }, {
-                threshold: 0.2,
-                rootMargin: '0px 0px -50px 0px'
-            });
+    updateHeadTags(langCode) {
+        const hreflangs = [...Object.keys(languages), 'x-default'];
 
-            // Observe hero content elements
-            const heroElements = document.querySelectorAll(
-                '.hero-heading, .hero-subheading, .hero-description, .hero-buttons, .hero-image'
-            );
-            heroElements.forEach(el => observer.observe(el));
+        hreflangs.forEach(code => {
+            let link = document.head.querySelector(`link[rel="alternate"][hreflang="${code}"]`);
+            if (!link) {
+                link = document.createElement('link');
+                link.rel = 'alternate';
+                link.hreflang = code;
+                document.head.appendChild(link);
+            }
+
+            const target = code === 'x-default' ? this.defaultLanguage : code;
+            link.href = this.buildURL(target, { keepHash: false }).href;
+        });
+
+        let ogLocale = document.head.querySelector('meta[property="og:locale"]');
+        if (!ogLocale) {
+            ogLocale = document.createElement('meta');
+            ogLocale.setAttribute('property', 'og:locale');
+            document.head.appendChild(ogLocale);
         }
+        ogLocale.content = languages[langCode].locale;
+
+        // Alternates always list the locales that are not active
+        document.head.querySelectorAll('meta[property="og:locale:alternate"]').forEach(meta => meta.remove());
+        Object.keys(languages)
+            .filter(code => code !== langCode)
+            .reverse()
+            .forEach(code => {
+                const meta = document.createElement('meta');
+                meta.setAttribute('property', 'og:locale:alternate');
+                meta.content = languages[code].locale;
+                ogLocale.after(meta);
+            });
     }
+}
 
+const localeRouter = new LocaleRouter();
+
+/**
+ * Theme Manager
+ * Chooses between the light and dark palettes: "system" follows prefers-color-scheme,
+ * "light" and "dark" pin one. The resolved theme goes on <html data-theme>, and
+ * <meta name="theme-color"> follows the active palette's --theme-color token.
+ *
+ * An inline script in <head> applies the saved mode before first paint; this class
+ * takes over from there. Changes are announced with a `theme:change` event on
+ * document whose detail is { mode, theme }.
+ */
+class ThemeManager {
     /**
-     * Handle Read More button click
+     * @param {Object} [options]
+     * @param {string} [options.storageKey='theme'] - localStorage key of the chosen mode
      */
-    handleReadMoreClick() {
-        // In a real application, this would navigate to a services or about page
-        console.log('Read More clicked');
-        
-        // For demo purposes, scroll to demo content
-        const demoContent = document.querySelector('.demo-content');
-        if (demoContent) {
-            const headerHeight = document.querySelector('.header').offsetHeight;
-            const targetPosition = demoContent.offsetTop - headerHeight - 20;
-            
-            window.scrollTo({
-                top: targetPosition,
-                behavior: 'smooth'
-            });
-        }
-        
-        // Announce to screen readers
-        this.announceToScreenReader('Scrolling to more information');
+    constructor({ storageKey = 'theme' } = {}) {
+        this.storageKey = storageKey;
+        this.modes = ['system', 'light', 'dark'];
+        this.mode = 'system';
+        this.mediaQuery = null;
+        this.abortController = null;
     }
 
     /**
-     * Handle Contact Us button click
+     * Restore the saved mode and follow system theme changes
      */
-    handleContactClick() {
-        // In a real application, this would open a contact form or navigate to contact page
-        console.log('Contact Us clicked');
-        
-        // For demo purposes, show a notification
-        this.showNotification('Contact form would open here!');
-        
-        // Announce to screen readers
-        this.announceToScreenReader('Contact form activated');
+    init() {
+        if (this.abortController) return;
+        this.abortController = new AbortController();
+
+        this.mode = this.getSavedMode() || 'system';
+        this.mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        this.mediaQuery.addEventListener('change', () => {
+            if (this.mode === 'system') {
+                this.apply();
+            }
+        }, { signal: this.abortController.signal });
+
+        this.apply();
     }
 
     /**
-     * Create ripple effect on button click
-     * @param {Event} e - Click event
-     * @param {HTMLElement} button - Button element
+     * Mode chosen on an earlier visit
+     * @returns {string|null} Saved mode, or null
      */
-    createRippleEffect(e, button) {
-        const rect = button.getBoundingClientRect();
-        const size = Math.max(rect.width, rect.height);
-        const x = e.clientX - rect.left - size / 2;
-        const y = e.clientY - rect.top - size / 2;
-        
-        const ripple = document.createElement('span');
-        ripple.style.cssText = `
-            position: absolute;
-            width: ${size}px;
-            height: ${size}px;
-            left: ${x}px;
-            top: ${y}px;
-            background: rgba(255, 255, 255, 0.3);
-            border-radius: 50%;
-            transform: scale(0);
-            animation: ripple 0.6s ease-out;
-            pointer-events: none;
-        `;
-        
-        // Add ripple animation keyframes if not already added
-        if (!document.querySelector('#ripple-styles')) {
-            const style = document.createElement('style');
-            style.id = 'ripple-styles';
-            style.textContent = `
-                @keyframes ripple {
-                    to {
-                        transform: scale(2);
-                        opacity: 0;
-                    }
-                }
-            `;
-            document.head.appendChild(style);
+    getSavedMode() {
+        try {
+            const mode = localStorage.getItem(this.storageKey);
+            return this.modes.includes(mode) ? mode : null;
+        } catch (error) {
+            console.warn('Could not load theme from localStorage:', error);
+            return null;
         }
-        
-        button.appendChild(ripple);
-        
-        // Remove ripple after animation
-        setTimeout(() => {
-            ripple.remove();
-        }, 600);
     }
 
     /**
-     * Show a temporary notification
-     * @param {string} message - Notification message
-     */
-    showNotification(message) {
-        const notification = document.createElement('div');
-        notification.className = 'notification';
-        notification.textContent = message;
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background-color: var(--bg-primary);
-            color: var(--text-primary);
-            padding: 1rem 1.5rem;
-            border-radius: var(--border-radius);
-            box-shadow: 
-                8px 8px 16px var(--shadow-dark),
-                -8px -8px 16px var(--shadow-light);
-            z-index: 10000;
-            opacity: 0;
-            transform: translateY(-20px);
-            transition: all 0.3s ease;
-            max-width: 300px;
-            font-size: 0.9rem;
-        `;
-        
-        document.body.appendChild(notification);
-        
-        // Animate in
-        setTimeout(() => {
-            notification.style.opacity = '1';
-            notification.style.transform = 'translateY(0)';
-        }, 100);
-        
-        // Remove after delay
-        setTimeout(() => {
-            notification.style.opacity = '0';
-            notification.style.transform = 'translateY(-20px)';
-            setTimeout(() => {
-                notification.remove();
-            }, 300);
-        }, 3000);
+     * Palette in use for the current mode
+     * @returns {string} "light" or "dark"
+     */
+    getTheme() {
+        if (this.mode !== 'system') return this.mode;
+        return this.mediaQuery && this.mediaQuery.matches ? 'dark' : 'light';
     }
 
     /**
-     * Announce messages to screen readers
-     * @param {string} message - Message to announce
+     * Mode the toggle switches to next
+     * @returns {string} Mode name
      */
-    announceToScreenReader(message) {
-        const announcement = document.createElement('div');
-        announcement.setAttribute('aria-live', 'polite');
-        announcement.setAttribute('aria-atomic', 'true');
-        announcement.classList.add('sr-only');
-        announcement.textContent = message;
-        
-        document.body.appendChild(announcement);
-        
-        // Remove the announcement after a short delay
-        setTimeout(() => {
-            document.body.removeChild(announcement);
-        }, 1000);
-    }
-}
-
-/**
- * Main Header Controller Class
- * Manages all header functionality including navigation, language switching, and mobile menu
- */
-class HeaderController {
-    constructor() {
-        // DOM element references
-        this.mobileToggle = document.getElementById('mobile-toggle');
-        this.nav = document.querySelector('.nav');
-        this.languageBtn = document.getElementById('language-toggle');
-        this.languageDropdown = document.getElementById('language-dropdown');
-        this.languageOptions = document.querySelectorAll('.language-option');
-        this.currentLanguageSpan = document.getElementById('current-language');
-        this.navLinks = document.querySelectorAll('.nav-link');
-        
-        // State management
-        this.isLanguageDropdownOpen = false;
-        this.isMobileMenuOpen = false;
-        this.currentLanguage = 'en';
-        
-        // Initialize the controller
-        this.init();
+    getNextMode() {
+        return this.modes[(this.modes.indexOf(this.mode) + 1) % this.modes.length];
     }
 
     /**
-     * Initialize all functionality
+     * Switch mode
+     * @param {string} mode - system, light or dark
+     * @param {Object} [options]
+     * @param {boolean} [options.save=true] - Remember the choice, if the visitor lets us remember preferences
      */
-    init() {
-        this.setupEventListeners();
-        this.loadSavedLanguage();
-        this.setupKeyboardNavigation();
-        this.setupActiveLinks();
-        this.setupAccessibility();
-        
-        console.log('Header controller initialized successfully');
+    setMode(mode, { save = true } = {}) {
+        if (!this.modes.includes(mode)) return;
+        this.mode = mode;
+
+        if (save && consent.isGranted('preferences')) {
+            try {
+                if (mode === 'system') {
+                    localStorage.removeItem(this.storageKey);
+                } else {
+                    localStorage.setItem(this.storageKey, mode);
+                }
+            } catch (error) {
+                console.warn('Could not save theme to localStorage:', error);
+            }
+        }
+
+        this.apply();
     }
 
     /**
-     * Set up all event listeners for user interactions
+     * Put the current mode's palette on the page and announce it
      */
-    setupEventListeners() {
-        // Mobile menu toggle
-        if (this.mobileToggle) {
-            this.mobileToggle.addEventListener('click', () => this.toggleMobileMenu());
+    apply() {
+        const theme = this.getTheme();
+        const root = document.documentElement;
+        root.dataset.theme = theme;
+
+        const themeColor = getComputedStyle(root).getPropertyValue('--theme-color').trim();
+        const meta = document.querySelector('meta[name="theme-color"]');
+        if (meta && themeColor) {
+            meta.content = themeColor;
         }
 
-        // Language switcher button
-        if (this.languageBtn) {
-            this.languageBtn.addEventListener('click', () => this.toggleLanguageDropdown());
+        document.dispatchEvent(new CustomEvent('theme:change', {
+            detail: { mode: this.mode, theme }
+        }));
+    }
+
+    destroy() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
         }
-        
-        // Language option selection
-        this.languageOptions.forEach(option => {
-            option.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.changeLanguage(e.target.dataset.lang);
-            });
-        });
+    }
+}
 
-        // Close dropdowns when clicking outside
-        document.addEventListener('click', (e) => this.handleOutsideClick(e));
+const themeManager = new ThemeManager();
 
-        // Handle window resize
-        window.addEventListener('resize', this.debounce(() => this.handleResize(), 250));
+/**
+ * Notification Manager
+ * Shows queued, stackable toast notifications and owns the page's single aria-live region.
+ *
+ * Toasts share one stack per position; anything beyond `maxVisible` waits in a queue.
+ * Hovering or focusing a toast pauses its timer, and Escape dismisses the newest one unless
+ * a menu or dialog has already used the key (and called preventDefault()).
+ */
+class NotificationManager {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.position='bottom-end'] - Default stack: top-start, top-end, bottom-start or bottom-end
+     * @param {number} [options.duration=4000] - Default time on screen in milliseconds (0 keeps it until dismissed)
+     * @param {number} [options.maxVisible=3] - Toasts shown per stack before queueing
+     */
+    constructor({ position = 'bottom-end', duration = 4000, maxVisible = 3 } = {}) {
+        this.position = position;
+        this.duration = duration;
+        this.maxVisible = maxVisible;
+        this.types = ['info', 'success', 'error'];
 
-        // Escape key handler for accessibility
-        document.addEventListener('keydown', (e) => this.handleEscapeKey(e));
+        this.stacks = {};
+        this.visible = [];
+        this.queue = [];
+        this.nextId = 1;
+        this.liveRegion = null;
+        this.announceTimer = null;
+        this.abortController = new AbortController();
 
-        // Prevent body scroll when mobile menu is open
-        document.addEventListener('touchmove', (e) => {
-            if (this.isMobileMenuOpen) {
-                e.preventDefault();
+        // On window so it runs after the document-level handlers of menus and dialogs
+        window.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !e.defaultPrevented && this.visible.length > 0) {
+                this.dismiss(this.visible[this.visible.length - 1].id);
             }
-        }, { passive: false });
+        }, { signal: this.abortController.signal });
     }
 
     /**
-     * Set up keyboard navigation for accessibility
+     * Show a toast, or queue it when its stack is full
+     * @param {string} message - Notification text
+     * @param {Object} [options]
+     * @param {string} [options.type='info'] - info, success or error
+     * @param {number} [options.duration] - Time on screen in milliseconds (0 keeps it until dismissed)
+     * @param {string} [options.position] - Stack to show it in
+     * @param {boolean} [options.announce=true] - Read the message out through the live region
+     * @param {{label: string, onClick: Function}} [options.action] - Button shown next to the message;
+     *                                                               the toast closes once it is used
+     * @returns {number} Notification id, for dismiss()
      */
-    setupKeyboardNavigation() {
-        // Language button keyboard navigation
-        if (this.languageBtn) {
-            this.languageBtn.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.toggleLanguageDropdown();
-                }
-                // Arrow down to open dropdown and focus first option
-                if (e.key === 'ArrowDown') {
-                    e.preventDefault();
-                    if (!this.isLanguageDropdownOpen) {
-                        this.toggleLanguageDropdown();
-                    }
-                    this.focusFirstLanguageOption();
-                }
-            });
+    show(message, { type = 'info', duration = this.duration, position = this.position, announce = true, action = null } = {}) {
+        const notification = {
+            id: this.nextId++,
+            message,
+            type: this.types.includes(type) ? type : 'info',
+            duration,
+            position,
+            announce,
+            action,
+            element: null,
+            timer: null,
+            remaining: duration,
+            startedAt: 0
+        };
+
+        if (this.visible.filter(item => item.position === position).length >= this.maxVisible) {
+            this.queue.push(notification);
+        } else {
+            this.render(notification);
         }
 
-        // Language options keyboard navigation
-        this.languageOptions.forEach((option, index) => {
-            option.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.changeLanguage(option.dataset.lang);
-                }
-                // Arrow navigation within dropdown
-                if (e.key === 'ArrowDown') {
-                    e.preventDefault();
-                    this.focusNextLanguageOption(index);
-                }
-                if (e.key === 'ArrowUp') {
-                    e.preventDefault();
-                    this.focusPreviousLanguageOption(index);
-                }
-                // Tab to close dropdown
-                if (e.key === 'Tab' && !e.shiftKey) {
-                    this.closeLanguageDropdown();
-                }
+        return notification.id;
+    }
+
+    /**
+     * Build a toast and put it on screen
+     * @param {Object} notification - Queued notification
+     */
+    render(notification) {
+        const element = document.createElement('div');
+        element.className = `notification notification--${notification.type}`;
+        element.dataset.notificationId = notification.id;
+
+        const text = document.createElement('p');
+        text.className = 'notification-message';
+        text.textContent = notification.message;
+
+        const closeBtn = document.createElement('button');
+        closeBtn.type = 'button';
+        closeBtn.className = 'notification-close';
+        closeBtn.setAttribute('aria-label', i18n.t('notifications.close', {
+            defaultValue: 'Dismiss notification'
+        }));
+        closeBtn.innerHTML = '<span aria-hidden="true">&times;</span>';
+        closeBtn.addEventListener('click', () => this.dismiss(notification.id));
+
+        element.append(text);
+
+        if (notification.action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.type = 'button';
+            actionBtn.className = 'notification-action';
+            actionBtn.textContent = notification.action.label;
+            actionBtn.addEventListener('click', () => {
+                notification.action.onClick();
+                this.dismiss(notification.id);
             });
+            element.append(actionBtn);
+        }
+
+        element.append(closeBtn);
+
+        // Keep the toast up while the user is reading or interacting with it
+        element.addEventListener('mouseenter', () => this.pause(notification));
+        element.addEventListener('mouseleave', () => this.resume(notification));
+        element.addEventListener('focusin', () => this.pause(notification));
+        element.addEventListener('focusout', (e) => {
+            if (!element.contains(e.relatedTarget)) {
+                this.resume(notification);
+            }
         });
 
-        // Mobile toggle keyboard navigation
-        if (this.mobileToggle) {
-            this.mobileToggle.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.toggleMobileMenu();
-                }
+        notification.element = element;
+        this.visible.push(notification);
+        this.getStack(notification.position).appendChild(element);
+
+        // Animate in on the next frame so the transition runs
+        requestAnimationFrame(() => element.classList.add('show'));
+
+        if (notification.announce) {
+            this.announce(notification.message, {
+                politeness: notification.type === 'error' ? 'assertive' : 'polite'
             });
         }
+
+        this.resume(notification);
     }
 
     /**
-     * Set up active link highlighting functionality
+     * Remove a toast and show the next queued one for that stack
+     * @param {number} id - Notification id returned by show()
      */
-    setupActiveLinks() {
-        this.navLinks.forEach(link => {
-            // Skip language links from active link behavior
-            if (link.classList.contains('language-link')) {
-                return;
-            }
-            
-            link.addEventListener('click', (e) => {
-                // In a real application, remove preventDefault to allow navigation
-                e.preventDefault();
-                
-                // Remove active class from all links
-                this.navLinks.forEach(l => {
-                    if (!l.classList.contains('language-link')) {
-                        l.classList.remove('active');
-                    }
-                });
-                
-                // Add active class to clicked link
-                link.classList.add('active');
-                
-                // Close mobile menu if open
-                if (this.isMobileMenuOpen) {
-                    this.toggleMobileMenu();
-                }
-                
-                // Announce to screen readers
-                this.announceToScreenReader(`Navigated to ${link.textContent}`);
-            });
-        });
+    dismiss(id) {
+        const queuedIndex = this.queue.findIndex(item => item.id === id);
+        if (queuedIndex !== -1) {
+            this.queue.splice(queuedIndex, 1);
+            return;
+        }
 
-        // Set initial active link (home page)
-        const homeLink = document.querySelector('.home-link');
-        if (homeLink) {
-            homeLink.addEventListener('click', (e) => {
-                e.preventDefault(); // Remove in production
-                this.navLinks.forEach(l => {
-                    if (!l.classList.contains('language-link')) {
-                        l.classList.remove('active');
-                    }
-                });
-                if (this.isMobileMenuOpen) {
-                    this.toggleMobileMenu();
-                }
-            });
+        const notification = this.visible.find(item => item.id === id);
+        if (!notification) return;
+
+        clearTimeout(notification.timer);
+        this.visible = this.visible.filter(item => item !== notification);
+
+        const { element } = notification;
+        element.classList.remove('show');
+        setTimeout(() => element.remove(), 300);
+
+        const nextIndex = this.queue.findIndex(item => item.position === notification.position);
+        if (nextIndex !== -1) {
+            this.render(this.queue.splice(nextIndex, 1)[0]);
         }
-        
-        // Handle language links separately - allow normal navigation
-        const languageLinks = document.querySelectorAll('.language-link');
-        languageLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                // Allow normal navigation for language links
-                // Close mobile menu if open
-                if (this.isMobileMenuOpen) {
-                    this.toggleMobileMenu();
-                }
-            });
-        });
     }
 
     /**
-     * Set up additional accessibility features
+     * Dismiss every visible toast and drop the queue
      */
-    setupAccessibility() {
-        // Manage focus trap in mobile menu
-        if (this.nav) {
-            this.nav.addEventListener('keydown', (e) => {
-                if (this.isMobileMenuOpen && e.key === 'Tab') {
-                    this.handleMobileMenuTabbing(e);
-                }
-            });
-        }
+    clear() {
+        this.queue = [];
+        [...this.visible].forEach(notification => this.dismiss(notification.id));
+    }
 
-        // Add skip link functionality (if skip link exists)
-        const skipLink = document.querySelector('.skip-link');
-        if (skipLink) {
-            skipLink.addEventListener('click', (e) => {
-                e.preventDefault();
-                const target = document.querySelector(skipLink.getAttribute('href'));
-                if (target) {
-                    target.focus();
-                }
-            });
-        }
+    /**
+     * Stop a toast's countdown, keeping the time it has left
+     * @param {Object} notification - Visible notification
+     */
+    pause(notification) {
+        if (!notification.timer) return;
+
+        clearTimeout(notification.timer);
+        notification.timer = null;
+        notification.remaining -= Date.now() - notification.startedAt;
     }
 
     /**
-     * Toggle mobile menu with proper state management
+     * Restart a toast's countdown with the time it has left
+     * @param {Object} notification - Visible notification
      */
-    toggleMobileMenu() {
-        this.isMobileMenuOpen = !this.isMobileMenuOpen;
-        
-        // Update DOM classes and attributes
-        this.nav.classList.toggle('active', this.isMobileMenuOpen);
-        this.mobileToggle.classList.toggle('active', this.isMobileMenuOpen);
-        this.mobileToggle.setAttribute('aria-expanded', this.isMobileMenuOpen.toString());
+    resume(notification) {
+        if (notification.timer || notification.duration <= 0) return;
 
-        // Prevent body scroll when mobile menu is open
-        document.body.style.overflow = this.isMobileMenuOpen ? 'hidden' : '';
+        notification.startedAt = Date.now();
+        notification.timer = setTimeout(
+            () => this.dismiss(notification.id),
+            Math.max(notification.remaining, 1000)
+        );
+    }
 
-        // Focus management for accessibility
-        if (this.isMobileMenuOpen) {
-            // Focus first nav link when menu opens
-            const firstNavLink = this.nav.querySelector('.nav-link');
-            if (firstNavLink) {
-                setTimeout(() => firstNavLink.focus(), 100);
-            }
-        } else {
-            // Return focus to toggle button when menu closes
-            this.mobileToggle.focus();
+    /**
+     * Get or create the container toasts stack in for a position
+     * @param {string} position - Stack position
+     * @returns {HTMLElement} Stack container
+     */
+    getStack(position) {
+        if (!this.stacks[position] || !this.stacks[position].isConnected) {
+            const stack = document.createElement('div');
+            stack.className = `notification-stack notification-stack--${position}`;
+            document.body.appendChild(stack);
+            this.stacks[position] = stack;
         }
-
-        // Announce state change to screen readers
-        const state = this.isMobileMenuOpen ? 'opened' : 'closed';
-        this.announceToScreenReader(`Mobile menu ${state}`);
+        return this.stacks[position];
     }
 
     /**
-     * Toggle language dropdown with proper state management
+     * Read a message out to screen reader users through the shared live region.
+     * A message announced within 50ms of another replaces it.
+     * @param {string} message - Message to announce
+     * @param {Object} [options]
+     * @param {string} [options.politeness='polite'] - polite or assertive
      */
-    toggleLanguageDropdown() {
-        this.isLanguageDropdownOpen = !this.isLanguageDropdownOpen;
-        
-        // Update DOM classes and attributes
-        this.languageDropdown.classList.toggle('active', this.isLanguageDropdownOpen);
-        this.languageBtn.setAttribute('aria-expanded', this.isLanguageDropdownOpen.toString());
+    announce(message, { politeness = 'polite' } = {}) {
+        const liveRegion = this.getLiveRegion();
+        liveRegion.setAttribute('aria-live', politeness);
 
-        // Focus management
-        if (this.isLanguageDropdownOpen) {
-            this.focusFirstLanguageOption();
-            // Set tabindex for keyboard navigation
-            this.languageOptions.forEach(option => option.setAttribute('tabindex', '0'));
-        } else {
-            // Remove from tab order when closed
-            this.languageOptions.forEach(option => option.setAttribute('tabindex', '-1'));
+        // Clearing first makes a repeated message count as a change
+        clearTimeout(this.announceTimer);
+        liveRegion.textContent = '';
+        this.announceTimer = setTimeout(() => {
+            this.announceTimer = null;
+            liveRegion.textContent = message;
+        }, 50);
+    }
+
+    /**
+     * Get the page's live region, creating it if the markup does not provide one
+     * @returns {HTMLElement} Live region element
+     */
+    getLiveRegion() {
+        if (!this.liveRegion || !this.liveRegion.isConnected) {
+            this.liveRegion = document.getElementById('live-region');
         }
+        if (!this.liveRegion) {
+            this.liveRegion = document.createElement('div');
+            this.liveRegion.id = 'live-region';
+            this.liveRegion.className = 'sr-only';
+            this.liveRegion.setAttribute('aria-live', 'polite');
+            this.liveRegion.setAttribute('aria-atomic', 'true');
+            document.body.appendChild(this.liveRegion);
+        }
+        return this.liveRegion;
+    }
+
+    destroy() {
+        this.abortController.abort();
+        clearTimeout(this.announceTimer);
+        this.visible.forEach(notification => clearTimeout(notification.timer));
+    }
+}
+
+const notifications = new NotificationManager();
+
+/**
+ * Component Registry
+ * Mounts controllers onto elements marked with data-component="<name>" and tears them down again.
+ *
+ * Every registered controller takes its root element as the first constructor argument
+ * and exposes destroy(), which removes its listeners, observers and timers.
+ * Once observe() is running, sections added to or removed from the page mount and unmount themselves.
+ */
+class ComponentRegistry {
+    constructor() {
+        this.components = {};
+        this.instances = new Map();
+        this.observer = null;
     }
 
     /**
-     * Close language dropdown
+     * Make a controller available to data-component="<name>"
+     * @param {string} name - Component name used in markup
+     * @param {Function} Component - Controller class
      */
-    closeLanguageDropdown() {
-        this.isLanguageDropdownOpen = false;
-        this.languageDropdown.classList.remove('active');
-        this.languageBtn.setAttribute('aria-expanded', 'false');
-        this.languageOptions.forEach(option => option.setAttribute('tabindex', '-1'));
+    register(name, Component) {
+        this.components[name] = Component;
     }
 
     /**
-     * Change the current language
-     * @param {string} langCode - Language code (en, es, ur)
+     * Mount every unmounted component in a subtree
+     * @param {ParentNode} [root=document] - Subtree to scan (the root itself is included)
+     * @returns {Object[]} Controllers created by this call
      */
-    changeLanguage(langCode) {
-        if (!translations[langCode]) {
-            console.warn(`Language ${langCode} not supported`);
-            return;
-        }
+    mount(root = document) {
+        const mounted = [];
 
-        this.currentLanguage = langCode;
-        
-        // Update UI display
-        this.updateLanguageDisplay(langCode);
-        
-        // Save to localStorage for persistence
-        try {
-            localStorage.setItem('selectedLanguage', langCode);
-        } catch (error) {
-            console.warn('Could not save language to localStorage:', error);
-        }
-        
-        // Update all translations in the document
-        this.updateTranslations(langCode);
-        
-        // Close dropdown
-        this.closeLanguageDropdown();
-        
-        // Update selected option styling
-        this.languageOptions.forEach(option => {
-            option.classList.toggle('selected', option.dataset.lang === langCode);
+        this.findComponentElements(root).forEach(element => {
+            if (this.instances.has(element)) return;
+
+            const name = element.dataset.component;
+            const Component = this.components[name];
+            if (!Component) {
+                console.warn(`Component registry: No component registered as "${name}".`);
+                return;
+            }
+
+            try {
+                const instance = new Component(element);
+                this.instances.set(element, { name, instance });
+                mounted.push(instance);
+            } catch (error) {
+                console.error(`Component registry: Could not mount "${name}":`, error);
+            }
         });
 
-        // Return focus to language button
-        this.languageBtn.focus();
-        
-        // Announce language change to screen readers
-        const languageNames = {
-            'en': 'English',
-            'es': 'Spanish',
-            'ur': 'Urdu'
-        };
-        this.announceToScreenReader(`Language changed to ${languageNames[langCode]}`);
+        return mounted;
     }
 
     /**
-     * Update the language display in the button
-     * @param {string} langCode - Language code
+     * Destroy every mounted component in a subtree
+     * @param {ParentNode} [root=document] - Subtree to tear down (the root itself is included)
      */
-    updateLanguageDisplay(langCode) {
-        const langMap = {
-            'en': 'EN',
-            'es': 'ES',
-            'ur': 'UR'
-        };
-        if (this.currentLanguageSpan) {
-            this.currentLanguageSpan.textContent = langMap[langCode] || 'EN';
-        }
+    unmount(root = document) {
+        this.instances.forEach(({ name, instance }, element) => {
+            if (root !== document && root !== element && !root.contains(element)) return;
+
+            try {
+                instance.destroy();
+            } catch (error) {
+                console.error(`Component registry: Could not destroy "${name}":`, error);
+            }
+            this.instances.delete(element);
+        });
     }
 
     /**
-     * Update all text content based on selected language
-     * @param {string} langCode - Language code
+     * Get the controller mounted on an element
+     * @param {HTMLElement|string} element - Component element or selector
+     * @returns {Object|null} Controller instance, or null
      */
-    updateTranslations(langCode) {
-        const translation = translations[langCode] || translations.en;
-        
-        // Update all elements with data-translate attribute
-        document.querySelectorAll('[data-translate]').forEach(element => {
-            const key = element.getAttribute('data-translate');
-            if (translation[key]) {
-                element.textContent = translation[key];
-            }
+    get(element) {
+        const target = typeof element === 'string' ? document.querySelector(element) : element;
+        const entry = target && this.instances.get(target);
+        return entry ? entry.instance : null;
+    }
+
+    /**
+     * Get every mounted controller of one component type
+     * @param {string} name - Component name
+     * @returns {Object[]} Controller instances
+     */
+    getAll(name) {
+        return Array.from(this.instances.values())
+            .filter(entry => entry.name === name)
+            .map(entry => entry.instance);
+    }
+
+    /**
+     * Mount and unmount components as their elements enter and leave the page
+     */
+    observe() {
+        if (this.observer || !('MutationObserver' in window)) return;
+
+        this.observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                mutation.removedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE && !node.isConnected) {
+                        this.unmount(node);
+                    }
+                });
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+                        this.mount(node);
+                    }
+                });
+            });
         });
 
-        // Update document language attribute for screen readers
-        document.documentElement.lang = langCode;
+        this.observer.observe(document.body, { childList: true, subtree: true });
     }
 
     /**
-     * Load saved language from localStorage
+     * Stop watching the page for added and removed components
      */
-    loadSavedLanguage() {
-        try {
-            const savedLanguage = localStorage.getItem('selectedLanguage') || 'en';
-            this.changeLanguage(savedLanguage);
-        } catch (error) {
-            console.warn('Could not load language from localStorage:', error);
-            this.changeLanguage('en'); // Fallback to English
+    disconnect() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
         }
     }
 
     /**
-     * Focus management for language options
+     * Collect the component elements in a subtree
+     * @param {ParentNode} root - Subtree to scan
+     * @returns {HTMLElement[]} Elements with a data-component attribute
      */
-    focusFirstLanguageOption() {
-        const firstOption = this.languageOptions[0];
-        if (firstOption) {
-            firstOption.focus();
+    findComponentElements(root) {
+        const elements = Array.from(root.querySelectorAll('[data-component]'));
+        if (root.matches && root.matches('[data-component]')) {
+            elements.unshift(root);
         }
+        return elements;
     }
+}
 
-    focusNextLanguageOption(currentIndex) {
-        const nextIndex = (currentIndex + 1) % this.languageOptions.length;
-        this.languageOptions[nextIndex].focus();
+const components = new ComponentRegistry();
+
+// Trackable events and their properties; a trailing "?" marks a property as optional
+const analyticsEvents = {
+    service_view: { service: 'string', source: 'string' },
+    service_cta_click: { service: 'string', label: 'string' },
+    whatsapp_open: { source: 'string?', service: 'string?' },
+    contact_click: { channel: 'string', location: 'string?' },
+    map_action: { action: 'string' },
+    cta_click: { label: 'string', location: 'string?' },
+    language_change: { from: 'string', to: 'string' },
+    theme_change: { mode: 'string' },
+    faq_toggle: { question: 'string', expanded: 'boolean' },
+    booking_request: { service: 'string?', status: 'string' },
+    contact_form: { status: 'string', service: 'string?' },
+    quote_action: { action: 'string', services: 'string?', monthly: 'number?', setup: 'number?' }
+};
+
+/**
+ * Analytics Service
+ * Checks interaction events against analyticsEvents and delivers them in batches to pluggable sinks.
+ *
+ * A sink is any object with send(events) that returns (or resolves) once the batch is delivered;
+ * failed batches are retried with exponential backoff before they are dropped.
+ *
+ * Markup hook: data-track="<event>" sends the event on click, with data-track-<property>
+ * attributes as its properties, e.g. <a data-track="contact_click" data-track-channel="email">
+ */
+class Analytics {
+    /**
+     * Nothing is queued until enable() is called, which happens once analytics consent is granted.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.batchSize=10] - Events that trigger an immediate flush
+     * @param {number} [options.flushInterval=5000] - Longest time (ms) an event waits in the queue
+     * @param {number} [options.maxRetries=3] - Retries per sink before a batch is dropped
+     */
+    constructor({ batchSize = 10, flushInterval = 5000, maxRetries = 3 } = {}) {
+        this.batchSize = batchSize;
+        this.flushInterval = flushInterval;
+        this.maxRetries = maxRetries;
+        this.sinks = [];
+        this.queue = [];
+        this.flushTimeout = null;
+        this.abortController = null;
+        this.enabled = false;
     }
 
-    focusPreviousLanguageOption(currentIndex) {
-        const prevIndex = currentIndex === 0 ? this.languageOptions.length - 1 : currentIndex - 1;
-        this.languageOptions[prevIndex].focus();
+    /**
+     * Start accepting events
+     */
+    enable() {
+        this.enabled = true;
+        this.bind();
     }
 
     /**
-     * Handle clicks outside dropdowns to close them
-     * @param {Event} e - Click event
+     * Stop accepting events and drop any that have not been sent
      */
-    handleOutsideClick(e) {
-        // Close language dropdown if clicking outside
-        if (this.languageBtn && this.languageDropdown && 
-            !this.languageBtn.contains(e.target) && 
-            !this.languageDropdown.contains(e.target)) {
-            if (this.isLanguageDropdownOpen) {
-                this.closeLanguageDropdown();
-            }
-        }
+    disable() {
+        this.enabled = false;
+        this.unbind();
+        clearTimeout(this.flushTimeout);
+        this.flushTimeout = null;
+        this.queue = [];
+    }
 
-        // Close mobile menu if clicking outside (on mobile)
-        if (window.innerWidth <= 768 && 
-            this.nav && this.mobileToggle &&
-            !this.nav.contains(e.target) && 
-            !this.mobileToggle.contains(e.target)) {
-            if (this.isMobileMenuOpen) {
-                this.toggleMobileMenu();
-            }
-        }
+    /**
+     * Add a destination for events
+     * @param {{send: Function}} sink - Sink receiving batches of events
+     * @returns {Analytics} This instance, for chaining
+     */
+    addSink(sink) {
+        this.sinks.push(sink);
+        return this;
     }
 
     /**
-     * Handle window resize events
+     * Queue an event
+     * @param {string} name - Event name from analyticsEvents
+     * @param {Object} [properties] - Event properties
+     * @returns {boolean} True if the event was valid and queued
      */
-    handleResize() {
-        // Close mobile menu when resizing to desktop
-        if (window.innerWidth > 768 && this.isMobileMenuOpen) {
-            this.toggleMobileMenu();
-        }
+    track(name, properties = {}) {
+        if (!this.enabled) return false;
 
-        // Close language dropdown on resize
-        if (this.isLanguageDropdownOpen) {
-            this.closeLanguageDropdown();
+        const payload = this.validate(name, properties);
+        if (!payload) return false;
+
+        this.queue.push({
+            name,
+            properties: payload,
+            language: i18n.language,
+            path: window.location.pathname,
+            timestamp: new Date().toISOString()
+        });
+
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        } else if (!this.flushTimeout) {
+            this.flushTimeout = setTimeout(() => this.flush(), this.flushInterval);
         }
+        return true;
     }
 
     /**
-     * Handle escape key for accessibility
-     * @param {KeyboardEvent} e - Keyboard event
+     * Check an event against its schema
+     * @param {string} name - Event name
+     * @param {Object} properties - Event properties
+     * @returns {Object|null} Properties without empty optional values, or null if the event is invalid
      */
-    handleEscapeKey(e) {
-        if (e.key === 'Escape') {
-            if (this.isLanguageDropdownOpen) {
-                this.closeLanguageDropdown();
-                this.languageBtn.focus();
+    validate(name, properties) {
+        const schema = analyticsEvents[name];
+        if (!schema) {
+            console.warn(`Analytics: Unknown event "${name}"`);
+            return null;
+        }
+
+        const payload = {};
+        for (const [property, type] of Object.entries(schema)) {
+            const isOptional = type.endsWith('?');
+            const value = properties[property];
+
+            if (value === undefined || value === null || value === '') {
+                if (!isOptional) {
+                    console.warn(`Analytics: "${name}" is missing "${property}"`);
+                    return null;
+                }
+                continue;
             }
-            if (this.isMobileMenuOpen) {
-                this.toggleMobileMenu();
+            if (typeof value !== type.replace('?', '')) {
+                console.warn(`Analytics: "${name}.${property}" should be a ${type.replace('?', '')}`);
+                return null;
             }
+            payload[property] = value;
         }
-    }
+
+        Object.keys(properties)
+            .filter(property => !schema[property])
+            .forEach(property => console.warn(`Analytics: Ignoring unknown property "${name}.${property}"`));
+
+        return payload;
+    }
 
     /**
-     * Handle tab navigation in mobile menu for focus trapping
+     * Send every queued event to every sink now
+     */
+    flush() {
+        clearTimeout(this.flushTimeout);
+        this.flushTimeout = null;
+
+        if (this.queue.length === 0) return;
+
+        const batch = this.queue;
+        this.queue = [];
+        this.sinks.forEach(sink => this.deliver(sink, batch, 0));
+    }
+
+    /**
+     * Send a batch to one sink, retrying with backoff when it fails
+     * @param {{send: Function}} sink - Destination
+     * @param {Object[]} batch - Events to send
+     * @param {number} attempt - Retries already made
+     */
+    deliver(sink, batch, attempt) {
+        Promise.resolve()
+            .then(() => sink.send(batch))
+            .catch(error => {
+                if (attempt >= this.maxRetries) {
+                    console.warn(`Analytics: Dropping ${batch.length} event(s) after ${attempt} retries:`, error);
+                    return;
+                }
+                setTimeout(() => this.deliver(sink, batch, attempt + 1), this.flushInterval * 2 ** attempt);
+            });
+    }
+
+    /**
+     * Track clicks on data-track elements and flush when the page is hidden or left
+     */
+    bind() {
+        if (this.abortController) return;
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+
+        document.addEventListener('click', (e) => {
+            const element = e.target.closest('[data-track]');
+            if (element) {
+                this.track(element.dataset.track, this.getElementProperties(element));
+            }
+        }, { signal });
+
+        // Last chance to send before the page goes away (sendBeacon is built for this)
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.flush();
+            }
+        }, { signal });
+        window.addEventListener('pagehide', () => this.flush(), { signal });
+    }
+
+    /**
+     * Stop tracking data-track clicks and page hide
+     */
+    unbind() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+    }
+
+    /**
+     * Read data-track-<property> attributes
+     * @param {HTMLElement} element - Tracked element
+     * @returns {Object} Event properties
+     */
+    getElementProperties(element) {
+        const properties = {};
+        Object.entries(element.dataset).forEach(([key, value]) => {
+            if (key.startsWith('track') && key !== 'track') {
+                // data-track-channel → dataset.trackChannel → channel
+                const property = key.charAt(5).toLowerCase() + key.slice(6);
+                properties[property] = value;
+            }
+        });
+        return properties;
+    }
+}
+
+/**
+ * Analytics sink that logs batches to the console (development)
+ */
+class ConsoleSink {
+    send(events) {
+        events.forEach(event => console.log(`[analytics] ${event.name}`, event.properties));
+    }
+}
+
+/**
+ * Analytics sink that posts batches as JSON with navigator.sendBeacon, falling back to a keepalive fetch
+ */
+class BeaconSink {
+    /**
+     * @param {string} url - Collection endpoint
+     */
+    constructor(url) {
+        this.url = url;
+    }
+
+    send(events) {
+        const body = JSON.stringify({ events });
+
+        if (navigator.sendBeacon) {
+            const blob = new Blob([body], { type: 'application/json' });
+            if (!navigator.sendBeacon(this.url, blob)) {
+                throw new Error('Beacon was not queued');
+            }
+            return undefined;
+        }
+
+        return fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: true
+        }).then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+        });
+    }
+}
+
+/**
+ * Analytics sink that pushes each event onto a Google Tag Manager style dataLayer
+ */
+class DataLayerSink {
+    /**
+     * @param {string} [name='dataLayer'] - Global array to push to
+     */
+    constructor(name = 'dataLayer') {
+        this.name = name;
+    }
+
+    send(events) {
+        window[this.name] = window[this.name] || [];
+        events.forEach(event => {
+            window[this.name].push({ event: event.name, ...event.properties });
+        });
+    }
+}
+
+const analytics = new Analytics();
+
+/**
+ * Modal
+ * Backdrop and dialog shell shared by the site's modal dialogs. Opening shows the backdrop,
+ * locks page scrolling and moves focus into the dialog; while open, Tab stays inside it and
+ * Escape or a click on the backdrop asks to close; closing hands focus back to the opener.
+ *
+ * Owners render into `dialog` and handle clicks inside it themselves.
+ */
+class Modal {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.className=''] - Extra class for the dialog; the backdrop gets it with a -backdrop suffix
+     * @param {string} [options.labelledBy=''] - id of the dialog's title
+     * @param {string} [options.describedBy=''] - id of the dialog's description
+     * @param {Function} [options.onDismiss] - Called on Escape or a backdrop click; closes the modal by default
+     */
+    constructor({ className = '', labelledBy = '', describedBy = '', onDismiss = () => this.close() } = {}) {
+        this.onDismiss = onDismiss;
+        this.returnFocus = null;
+        this.abortController = new AbortController();
+
+        this.build(className, labelledBy, describedBy);
+    }
+
+    /**
+     * Whether the modal is showing
+     * @returns {boolean} True when open
+     */
+    get isOpen() {
+        return !this.backdrop.hidden;
+    }
+
+    build(className, labelledBy, describedBy) {
+        const { signal } = this.abortController;
+
+        this.backdrop = document.createElement('div');
+        this.backdrop.className = className ? `service-dialog-backdrop ${className}-backdrop` : 'service-dialog-backdrop';
+        this.backdrop.hidden = true;
+
+        this.dialog = document.createElement('div');
+        this.dialog.className = className ? `service-dialog ${className}` : 'service-dialog';
+        this.dialog.setAttribute('role', 'dialog');
+        this.dialog.setAttribute('aria-modal', 'true');
+        if (labelledBy) {
+            this.dialog.setAttribute('aria-labelledby', labelledBy);
+        }
+        if (describedBy) {
+            this.dialog.setAttribute('aria-describedby', describedBy);
+        }
+        this.dialog.tabIndex = -1;
+
+        this.backdrop.appendChild(this.dialog);
+        document.body.appendChild(this.backdrop);
+
+        // Clicks on the dimmed area outside the panel close it
+        this.backdrop.addEventListener('click', (e) => {
+            if (e.target === this.backdrop) {
+                this.onDismiss();
+            }
+        }, { signal });
+
+        this.dialog.addEventListener('keydown', (e) => this.handleKeydown(e), { signal });
+    }
+
+    /**
+     * Show the modal, or just move focus back into it if it is already showing
+     * @param {Object} [options]
+     * @param {HTMLElement} [options.returnFocus] - Element to focus on close (defaults to the active element)
+     */
+    open({ returnFocus = document.activeElement } = {}) {
+        if (!this.isOpen) {
+            this.returnFocus = returnFocus;
+            this.backdrop.hidden = false;
+            Modal.lockScroll();
+
+            // Let the backdrop render before animating it in
+            requestAnimationFrame(() => this.backdrop.classList.add('open'));
+        }
+        this.dialog.focus();
+    }
+
+    /**
+     * Hide the modal and return focus to where it was opened from
+     * @param {Object} [options]
+     * @param {HTMLElement|null} [options.fallbackFocus=null] - Focused instead when the opener has gone
+     */
+    close({ fallbackFocus = null } = {}) {
+        if (!this.isOpen) return;
+
+        this.backdrop.classList.remove('open');
+        this.backdrop.hidden = true;
+        Modal.unlockScroll();
+
+        const returnFocus = this.returnFocus && this.returnFocus.isConnected && this.returnFocus !== document.body
+            ? this.returnFocus
+            : fallbackFocus;
+        if (returnFocus) {
+            returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    /**
+     * Close on Escape and keep Tab inside the dialog
      * @param {KeyboardEvent} e - Keyboard event
      */
-    handleMobileMenuTabbing(e) {
-        const focusableElements = this.nav.querySelectorAll(
-            'a, button, [tabindex]:not([tabindex="-1"])'
-        );
-        const firstFocusable = focusableElements[0];
-        const lastFocusable = focusableElements[focusableElements.length - 1];
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            // Don't let page-level Escape handlers (menus, toasts) act on the same key press
+            e.stopPropagation();
+            this.onDismiss();
+            return;
+        }
+
+        if (e.key !== 'Tab') return;
+
+        const focusableElements = Array.from(this.dialog.querySelectorAll(Modal.focusableSelector))
+            .filter(element => !element.closest('[hidden]'));
+        const firstFocusable = focusableElements[0];
+        const lastFocusable = focusableElements[focusableElements.length - 1];
+        if (!firstFocusable) return;
+
+        if (e.shiftKey && (document.activeElement === firstFocusable || document.activeElement === this.dialog)) {
+            e.preventDefault();
+            lastFocusable.focus();
+        } else if (!e.shiftKey && document.activeElement === lastFocusable) {
+            e.preventDefault();
+            firstFocusable.focus();
+        }
+    }
+
+    /**
+     * Remove the modal and its listeners
+     */
+    destroy() {
+        if (this.isOpen) {
+            Modal.unlockScroll();
+        }
+        this.abortController.abort();
+        this.backdrop.remove();
+    }
+
+    // Counted, so one modal opening over another doesn't unlock the page when it closes
+    static lockScroll() {
+        Modal.openCount++;
+        document.body.style.overflow = 'hidden';
+    }
+
+    static unlockScroll() {
+        Modal.openCount = Math.max(0, Modal.openCount - 1);
+        if (!Modal.openCount) {
+            document.body.style.overflow = '';
+        }
+    }
+}
+
+Modal.openCount = 0;
+Modal.focusableSelector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+    'textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Consent categories in display order; "necessary" is always granted
+const consentCategories = ['necessary', 'preferences', 'analytics', 'embeds'];
+
+/**
+ * Consent Manager
+ * Asks for consent per category, remembers the answer, and releases what each category gates.
+ *
+ * Choices are stored with a version: raise `version` whenever the categories or their purposes
+ * change, and everyone is asked again. Other scripts can wait with consent.whenGranted('analytics')
+ * or follow every change through the consent:change event on document.
+ *
+ * Markup hooks:
+ * - data-consent="<category>" data-consent-src="…"  src applied only while the category is granted
+ * - data-consent-placeholder="<category>"          shown while the category is refused
+ * - data-consent-grant="<category>"                button that grants that one category
+ * - data-consent-open                              button that opens the preferences dialog
+ */
+class ConsentManager {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.storageKey='consent'] - localStorage key of the stored choices
+     * @param {number} [options.version=1] - Version of the category set
+     * @param {string[]} [options.preferenceKeys=[]] - localStorage keys cleared when preferences are refused
+     */
+    constructor({ storageKey = 'consent', version = 1, preferenceKeys = [] } = {}) {
+        this.storageKey = storageKey;
+        this.version = version;
+        this.preferenceKeys = preferenceKeys;
+        this.choices = this.load();
+        this.waiters = {};
+        this.banner = null;
+        this.modal = null;
+        this.abortController = null;
+    }
+
+    /**
+     * Read stored choices, ignoring ones made for an older version
+     * @returns {Object|null} Category → granted map, or null if the visitor has not decided
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored && stored.version === this.version && stored.categories) {
+                return stored.categories;
+            }
+        } catch (error) {
+            console.warn('Could not load consent choices:', error);
+        }
+        return null;
+    }
+
+    /**
+     * Whether the visitor has made a choice for the current version
+     * @returns {boolean} True once decided
+     */
+    hasDecided() {
+        return this.choices !== null;
+    }
+
+    /**
+     * Check a category
+     * @param {string} category - Consent category
+     * @returns {boolean} True if granted
+     */
+    isGranted(category) {
+        return category === 'necessary' || Boolean(this.choices && this.choices[category]);
+    }
+
+    /**
+     * Wait for a category to be granted
+     * @param {string} category - Consent category
+     * @returns {Promise<void>} Resolves once the category is granted (immediately if it already is)
+     */
+    whenGranted(category) {
+        if (this.isGranted(category)) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            this.waiters[category] = this.waiters[category] || [];
+            this.waiters[category].push(resolve);
+        });
+    }
+
+    /**
+     * Store a set of choices and apply them
+     * @param {Object} categories - Category → granted map; missing categories are refused
+     */
+    update(categories) {
+        const previous = this.choices;
+        this.choices = consentCategories.reduce((choices, category) => {
+            choices[category] = category === 'necessary' || Boolean(categories[category]);
+            return choices;
+        }, {});
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                version: this.version,
+                categories: this.choices,
+                updatedAt: new Date().toISOString()
+            }));
+
+            // Refusing preferences also forgets the ones already stored
+            if (!this.choices.preferences) {
+                this.preferenceKeys.forEach(key => localStorage.removeItem(key));
+            }
+        } catch (error) {
+            console.warn('Could not save consent choices:', error);
+        }
+
+        consentCategories.forEach(category => {
+            if (this.choices[category] && this.waiters[category]) {
+                this.waiters[category].forEach(resolve => resolve());
+                delete this.waiters[category];
+            }
+        });
+
+        this.applyEmbeds();
+        this.hideBanner();
+
+        document.dispatchEvent(new CustomEvent('consent:change', {
+            detail: { categories: { ...this.choices }, previous }
+        }));
+    }
+
+    acceptAll() {
+        this.update(Object.fromEntries(consentCategories.map(category => [category, true])));
+    }
+
+    rejectAll() {
+        this.update({});
+    }
+
+    /**
+     * Grant one category on top of the current choices
+     * @param {string} category - Consent category
+     */
+    grant(category) {
+        this.update({ ...this.choices, [category]: true });
+    }
+
+    /**
+     * Apply stored choices, wire up the markup hooks, and ask if the visitor has not decided yet
+     */
+    init() {
+        if (this.abortController) return;
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+
+        document.addEventListener('click', (e) => {
+            const grantButton = e.target.closest('[data-consent-grant]');
+            if (grantButton) {
+                this.grant(grantButton.dataset.consentGrant);
+            }
+            if (e.target.closest('[data-consent-open]')) {
+                this.openPreferences();
+            }
+        }, { signal });
+
+        document.addEventListener('language:change', () => {
+            if (this.banner) {
+                this.renderBanner();
+            }
+            if (this.isPreferencesOpen) {
+                this.renderPreferences();
+            }
+        }, { signal });
+
+        this.applyEmbeds();
+
+        if (!this.hasDecided()) {
+            this.showBanner();
+        }
+    }
+
+    /**
+     * Load or unload gated embeds and toggle their placeholders
+     * @param {ParentNode} [root=document] - Subtree to update
+     */
+    applyEmbeds(root = document) {
+        root.querySelectorAll('[data-consent-src]').forEach(element => {
+            const isGranted = this.isGranted(element.dataset.consent);
+
+            if (isGranted && element.getAttribute('src') !== element.dataset.consentSrc) {
+                element.setAttribute('src', element.dataset.consentSrc);
+            } else if (!isGranted && element.hasAttribute('src')) {
+                // Navigating away unloads the third-party page; dropping the attribute alone would not
+                element.setAttribute('src', 'about:blank');
+            }
+            element.hidden = !isGranted;
+        });
+
+        root.querySelectorAll('[data-consent-placeholder]').forEach(placeholder => {
+            placeholder.hidden = this.isGranted(placeholder.dataset.consentPlaceholder);
+        });
+    }
+
+    // --- Banner ---
+    showBanner() {
+        if (!this.banner) {
+            this.banner = document.createElement('div');
+            this.banner.className = 'consent-banner';
+            this.banner.setAttribute('role', 'region');
+            this.banner.setAttribute('aria-labelledby', 'consent-banner-title');
+
+            this.banner.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-consent-action]');
+                if (!action) return;
+                if (action.dataset.consentAction === 'accept') {
+                    this.acceptAll();
+                } else {
+                    this.rejectAll();
+                }
+                this.announceSaved();
+            });
+
+            document.body.appendChild(this.banner);
+        }
+        this.renderBanner();
+    }
+
+    renderBanner() {
+        const escape = value => i18n.escapeHTML(value);
+
+        // Accept and reject sit side by side with equal weight so neither is the easier choice
+        this.banner.innerHTML = `
+            <div class="consent-banner-text">
+                <h2 class="consent-banner-title" id="consent-banner-title">${escape(i18n.t('consent.bannerTitle', { defaultValue: 'Your privacy choices' }))}</h2>
+                <p>${escape(i18n.t('consent.bannerText', { defaultValue: 'We only use what this site needs to work.' }))}</p>
+            </div>
+            <div class="consent-banner-actions">
+                <button type="button" class="btn btn-primary" data-consent-action="reject">${escape(i18n.t('consent.rejectAll', { defaultValue: 'Reject all' }))}</button>
+                <button type="button" class="btn btn-primary" data-consent-action="accept">${escape(i18n.t('consent.acceptAll', { defaultValue: 'Accept all' }))}</button>
+                <button type="button" class="consent-link" data-consent-open>${escape(i18n.t('consent.manage', { defaultValue: 'Manage preferences' }))}</button>
+            </div>
+        `;
+    }
+
+    hideBanner() {
+        if (this.banner) {
+            this.banner.remove();
+            this.banner = null;
+        }
+    }
+
+    // --- Preferences dialog ---
+    /**
+     * Whether the preferences dialog is showing
+     * @returns {boolean} True when open
+     */
+    get isPreferencesOpen() {
+        return Boolean(this.modal && this.modal.isOpen);
+    }
+
+    /**
+     * Show the per-category preferences dialog
+     */
+    openPreferences() {
+        if (!this.modal) {
+            this.buildPreferences();
+        }
+        this.renderPreferences();
+        this.modal.open();
+    }
+
+    closePreferences() {
+        if (!this.isPreferencesOpen) return;
+
+        // The opener may have been the banner, which is gone once a choice is saved
+        this.modal.close({ fallbackFocus: document.querySelector('[data-consent-open]') });
+    }
+
+    buildPreferences() {
+        this.modal = new Modal({
+            className: 'consent-dialog',
+            labelledBy: 'consent-dialog-title',
+            describedBy: 'consent-dialog-description',
+            onDismiss: () => this.closePreferences()
+        });
+        this.dialog = this.modal.dialog;
+
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target.closest('.service-dialog-close')) {
+                this.closePreferences();
+                return;
+            }
+
+            const action = e.target.closest('[data-consent-action]');
+            if (!action) return;
+
+            if (action.dataset.consentAction === 'accept') {
+                this.acceptAll();
+            } else if (action.dataset.consentAction === 'reject') {
+                this.rejectAll();
+            } else {
+                const choices = {};
+                this.dialog.querySelectorAll('input[name]').forEach(input => {
+                    choices[input.name] = input.checked;
+                });
+                this.update(choices);
+            }
+            this.closePreferences();
+            this.announceSaved();
+        });
+    }
+
+    renderPreferences() {
+        const escape = value => i18n.escapeHTML(value);
+
+        const categories = consentCategories.map(category => {
+            const isNecessary = category === 'necessary';
+            const isChecked = isNecessary || this.isGranted(category);
+            return `
+                <div class="consent-category">
+                    <label class="consent-toggle">
+                        <input type="checkbox" ${isNecessary ? 'disabled' : `name="${category}"`} ${isChecked ? 'checked' : ''}
+                               aria-describedby="consent-${category}-description">
+                        <span class="consent-category-title">${escape(i18n.t(`consent.categories.${category}.title`, { defaultValue: category }))}</span>
+                        ${isNecessary ? `<span class="consent-always-on">${escape(i18n.t('consent.alwaysOn', { defaultValue: 'Always on' }))}</span>` : ''}
+                    </label>
+                    <p class="consent-category-description" id="consent-${category}-description">${escape(i18n.t(`consent.categories.${category}.description`, { defaultValue: '' }))}</p>
+                </div>
+            `;
+        }).join('');
+
+        this.dialog.innerHTML = `
+            <button type="button" class="service-dialog-close" aria-label="${escape(i18n.t('consent.close', { defaultValue: 'Close privacy preferences' }))}">
+                <span aria-hidden="true">&times;</span>
+            </button>
+            <header class="service-dialog-header">
+                <h2 class="service-dialog-title" id="consent-dialog-title">${escape(i18n.t('consent.dialogTitle', { defaultValue: 'Privacy preferences' }))}</h2>
+                <p class="service-dialog-description" id="consent-dialog-description">${escape(i18n.t('consent.dialogIntro', { defaultValue: '' }))}</p>
+            </header>
+            <div class="consent-categories">${categories}</div>
+            <div class="consent-dialog-actions">
+                <button type="button" class="btn btn-secondary" data-consent-action="reject">${escape(i18n.t('consent.rejectAll', { defaultValue: 'Reject all' }))}</button>
+                <button type="button" class="btn btn-secondary" data-consent-action="save">${escape(i18n.t('consent.save', { defaultValue: 'Save choices' }))}</button>
+                <button type="button" class="btn btn-primary" data-consent-action="accept">${escape(i18n.t('consent.acceptAll', { defaultValue: 'Accept all' }))}</button>
+            </div>
+        `;
+    }
+
+    announceSaved() {
+        notifications.announce(i18n.t('consent.saved', {
+            defaultValue: 'Your privacy choices have been saved'
+        }));
+    }
+}
+
+const consent = new ConsentManager({
+    preferenceKeys: [localeRouter.storageKey, themeManager.storageKey, 'languageSuggestionDismissed', 'quoteEstimate', 'contactDraft', 'contactOutbox']
+});
+
+/**
+ * Site Config
+ * Business name, contact details and address, written once in the
+ * <script type="application/json" id="site-config"> block of index.html.
+ * Settings below read from it, and apply() fills the page, replacing the no-JS copies in the markup:
+ *
+ * - data-bind="phone"       text of a field: name, phone, email or address
+ * - data-bind-href="tel"    href built from the config: tel, mailto, whatsapp or maps
+ * - the JSON-LD Organization block gets name, url, contact details and address
+ */
+class SiteConfig {
+    /**
+     * @param {string} [selector='#site-config'] - JSON block holding the config
+     */
+    constructor(selector = '#site-config') {
+        this.data = this.read(selector);
+    }
+
+    /**
+     * @param {string} selector - JSON block holding the config
+     * @returns {Object} Parsed config, or an empty object if it is missing or invalid
+     */
+    read(selector) {
+        const element = document.querySelector(selector);
+        if (!element) {
+            console.warn('Site config: No config block found.');
+            return {};
+        }
+
+        try {
+            return JSON.parse(element.textContent);
+        } catch (error) {
+            console.error('Site config: Invalid config block:', error);
+            return {};
+        }
+    }
+
+    get name() {
+        return this.data.name || '';
+    }
+
+    get email() {
+        return this.data.email || '';
+    }
+
+    /**
+     * Phone number as written for people, e.g. "+44 7429 917026"
+     */
+    get phone() {
+        return this.data.phone || '';
+    }
+
+    /**
+     * Phone number as dialled, e.g. "+447429917026"
+     */
+    get dialNumber() {
+        return this.phone.replace(/[^\d+]/g, '');
+    }
+
+    /**
+     * WhatsApp number in wa.me form (digits only); the phone number unless the config names another
+     */
+    get whatsapp() {
+        return (this.data.whatsapp || this.phone).replace(/\D/g, '');
+    }
+
+    /**
+     * Address on one line, e.g. "18 Albert Road, Ilford IG1 1HN, UK"
+     */
+    get address() {
+        const address = this.data.address || {};
+        return [
+            address.streetAddress,
+            [address.addressLocality, address.postalCode].filter(Boolean).join(' '),
+            address.addressCountry
+        ].filter(Boolean).join(', ');
+    }
+
+    /**
+     * Text for a data-bind slot
+     * @param {string} field - name, phone, email or address
+     * @returns {string} Value, or an empty string if the config has none
+     */
+    getValue(field) {
+        return ['name', 'phone', 'email', 'address'].includes(field) ? this[field] : '';
+    }
+
+    /**
+     * Link for a data-bind-href slot
+     * @param {string} kind - tel, mailto, whatsapp or maps
+     * @returns {string} URL, or an empty string if the config lacks what it needs
+     */
+    getHref(kind) {
+        switch (kind) {
+            case 'tel':
+                return this.dialNumber ? `tel:${this.dialNumber}` : '';
+            case 'mailto':
+                return this.email ? `mailto:${this.email}` : '';
+            case 'whatsapp':
+                return this.whatsapp ? `https://wa.me/${this.whatsapp}` : '';
+            case 'maps':
+                return this.address
+                    ? `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(this.address)}`
+                    : '';
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Fill data-bind slots and hrefs, and the JSON-LD block
+     * @param {ParentNode} [root=document] - Subtree to update
+     */
+    apply(root = document) {
+        root.querySelectorAll('[data-bind]').forEach(element => {
+            const value = this.getValue(element.dataset.bind);
+            if (value) {
+                element.textContent = value;
+            }
+        });
+
+        root.querySelectorAll('[data-bind-href]').forEach(element => {
+            const href = this.getHref(element.dataset.bindHref);
+            if (href) {
+                element.href = href;
+            }
+        });
+
+        this.renderStructuredData();
+    }
+
+    /**
+     * Complete the Organization JSON-LD block with the config's details
+     */
+    renderStructuredData() {
+        const script = document.querySelector('script[type="application/ld+json"]');
+        if (!script) return;
+
+        let data;
+        try {
+            data = JSON.parse(script.textContent);
+        } catch (error) {
+            console.warn('Site config: Invalid JSON-LD block:', error);
+            return;
+        }
+
+        const details = {
+            name: this.name,
+            url: this.data.url,
+            email: this.email,
+            telephone: this.phone,
+            address: this.data.address ? { '@type': 'PostalAddress', ...this.data.address } : undefined,
+            geo: this.data.geo ? { '@type': 'GeoCoordinates', ...this.data.geo } : undefined,
+            sameAs: this.whatsapp ? [this.getHref('whatsapp')] : undefined
+        };
+        Object.entries(details).forEach(([key, value]) => {
+            if (value) {
+                data[key] = value;
+            }
+        });
+
+        script.textContent = JSON.stringify(data, null, 2);
+    }
+}
+
+const siteConfig = new SiteConfig();
+
+// When someone is around to answer. Times are wall-clock times in `timeZone`;
+// weekdays are numbered like Date#getDay (0 = Sunday) and holidays are YYYY-MM-DD dates there.
+const businessHoursSettings = {
+    timeZone: 'Europe/London',
+    schedule: {
+        1: [['09:00', '18:00']],
+        2: [['09:00', '18:00']],
+        3: [['09:00', '18:00']],
+        4: [['09:00', '18:00']],
+        5: [['09:00', '18:00']]
+    },
+    holidays: [],
+    // Bank holidays in the shape of https://www.gov.uk/bank-holidays.json. The copy in data/ runs to
+    // the end of 2027; replace it with the current feed before then (the console warns once it has run out).
+    holidaysURL: 'data/bank-holidays.json',
+    holidayDivision: 'england-and-wales',
+    replyMinutes: 15
+};
+
+/**
+ * Business Hours
+ * Works out whether the team is available right now and when that next changes,
+ * whatever time zone the visitor is in.
+ *
+ * Dispatches availability:change on document (detail: the status) whenever the
+ * team opens or closes, the next opening moves, or the day rolls over (so "tomorrow"
+ * becomes "today"), so anything showing the status can follow along.
+ */
+class BusinessHours {
+    /**
+     * @param {Object} settings - See businessHoursSettings
+     */
+    constructor({ timeZone, schedule, holidays = [], holidaysURL = '', holidayDivision = '', replyMinutes = 15 }) {
+        this.timeZone = timeZone;
+        this.schedule = schedule;
+        this.holidays = new Set(holidays);
+        this.holidaysURL = holidaysURL;
+        this.holidayDivision = holidayDivision;
+        this.holidaysRequest = null;
+        this.replyMinutes = replyMinutes;
+        this.status = null;
+        this.statusDay = null;
+        this.timer = null;
+        this.abortController = null;
+
+        // Numeric parts of an instant as a clock in timeZone reads it
+        this.partsFormat = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+    }
+
+    /**
+     * Start following the schedule
+     */
+    init() {
+        if (this.abortController) return;
+        this.abortController = new AbortController();
+
+        // Timers are throttled in background tabs, so check again whenever the page comes back
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.refresh();
+        }, { signal: this.abortController.signal });
+
+        this.refresh();
+        this.loadHolidays().then(() => this.refresh());
+    }
+
+    /**
+     * Add the dates for holidayDivision from holidaysURL
+     * @returns {Promise<void>} Resolves once loaded; if loading fails only the inline holidays apply
+     */
+    loadHolidays() {
+        if (!this.holidaysURL) return Promise.resolve();
+
+        if (!this.holidaysRequest) {
+            this.holidaysRequest = loadJSON(this.holidaysURL)
+                .then(data => {
+                    const dates = ((data[this.holidayDivision] || {}).events || []).map(event => event.date).sort();
+                    dates.forEach(date => this.holidays.add(date));
+
+                    const lastDate = dates[dates.length - 1];
+                    if (!lastDate || lastDate < this.getDayKey(new Date())) {
+                        console.warn(`Business hours: ${this.holidaysURL} has no ${this.holidayDivision} holidays left; update it from https://www.gov.uk/bank-holidays.json`);
+                    }
+                })
+                .catch(error => {
+                    console.warn('Business hours: Could not load holidays:', error);
+                });
+        }
+        return this.holidaysRequest;
+    }
+
+    /**
+     * Recalculate the status, announce a change, and wait for the next one
+     */
+    refresh() {
+        const previous = this.status;
+        const previousDay = this.statusDay;
+        const now = new Date();
+        this.status = this.getStatus(now);
+        this.statusDay = this.getDayKey(now);
+
+        const time = date => (date ? date.getTime() : null);
+        const hasChanged = !previous
+            || previous.isOpen !== this.status.isOpen
+            || time(previous.opensAt) !== time(this.status.opensAt)
+            || previousDay !== this.statusDay;
+
+        if (hasChanged) {
+            document.dispatchEvent(new CustomEvent('availability:change', {
+                detail: { ...this.status }
+            }));
+        }
+
+        clearTimeout(this.timer);
+        const today = this.getZonedParts(now);
+        const midnight = this.toInstant(today.year, today.month, today.day + 1, '00:00');
+        const nextChange = Math.min(midnight, this.status.closesAt || this.status.opensAt || Infinity);
+        // Re-check at least hourly so a sleeping laptop or a schedule edge never leaves it stale
+        const delay = Math.min(nextChange - now + 1000, 60 * 60 * 1000);
+        this.timer = setTimeout(() => this.refresh(), Math.max(delay, 1000));
+    }
+
+    /**
+     * @param {Date} date - Instant
+     * @returns {string} Its calendar date in timeZone, as YYYY-MM-DD
+     */
+    getDayKey(date) {
+        const { year, month, day } = this.getZonedParts(date);
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Availability at a given moment
+     * @param {Date} [now=new Date()] - Moment to check
+     * @returns {{isOpen: boolean, opensAt: Date|null, closesAt: Date|null}} Status; opensAt is set
+     *          while closed and closesAt while open (both null if nothing opens in the next two weeks)
+     */
+    getStatus(now = new Date()) {
+        const today = this.getZonedParts(now);
+
+        for (let offset = 0; offset <= 14; offset++) {
+            const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+
+            for (const interval of this.getIntervals(date)) {
+                if (now >= interval.closesAt) continue;
+
+                return now >= interval.opensAt
+                    ? { isOpen: true, opensAt: null, closesAt: interval.closesAt }
+                    : { isOpen: false, opensAt: interval.opensAt, closesAt: null };
+            }
+        }
+
+        return { isOpen: false, opensAt: null, closesAt: null };
+    }
+
+    /**
+     * Opening intervals of one calendar day in timeZone
+     * @param {Date} date - The day, as midnight UTC
+     * @returns {{opensAt: Date, closesAt: Date}[]} Intervals in order
+     */
+    getIntervals(date) {
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth() + 1;
+        const day = date.getUTCDate();
+        const key = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+        if (this.holidays.has(key)) {
+            return [];
+        }
+
+        return (this.schedule[date.getUTCDay()] || []).map(([opens, closes]) => ({
+            opensAt: this.toInstant(year, month, day, opens),
+            closesAt: this.toInstant(year, month, day, closes)
+        }));
+    }
+
+    /**
+     * Convert a wall-clock time in timeZone to an instant
+     * @param {number} year - Year
+     * @param {number} month - Month (1–12)
+     * @param {number} day - Day of the month
+     * @param {string} time - HH:MM
+     * @returns {Date} Instant
+     */
+    toInstant(year, month, day, time) {
+        const [hour, minute] = time.split(':').map(Number);
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+        // Use the offset in force at the result, which differs from the guess around DST changes
+        const offset = this.getOffset(wallClock);
+        const correctedOffset = this.getOffset(wallClock - offset);
+        return new Date(wallClock - correctedOffset);
+    }
+
+    /**
+     * Offset of timeZone from UTC at an instant
+     * @param {number} timestamp - Milliseconds since the epoch
+     * @returns {number} Offset in milliseconds
+     */
+    getOffset(timestamp) {
+        const parts = this.getZonedParts(new Date(timestamp));
+        const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return asUTC - Math.floor(timestamp / 1000) * 1000;
+    }
+
+    /**
+     * @param {Date} date - Instant
+     * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+     *          Calendar fields in timeZone
+     */
+    getZonedParts(date) {
+        return this.partsFormat.formatToParts(date).reduce((parts, { type, value }) => {
+            if (type !== 'literal') {
+                parts[type] = Number(value);
+            }
+            return parts;
+        }, {});
+    }
+
+    /**
+     * Interpolation values describing a status in the current language
+     * @param {Object} [status=this.status] - Status from getStatus()
+     * @returns {{minutes: number, day: string, time: string, localTime: string|null}} Values; day and
+     *          time describe the next opening, localTime is the same moment on the visitor's clock
+     *          (null when it reads the same)
+     */
+    getParams(status = this.status || this.getStatus()) {
+        const params = { minutes: this.replyMinutes, day: '', time: '', localTime: null };
+        if (!status.opensAt) {
+            return params;
+        }
+
+        const language = languages[i18n.language];
+        const locale = language ? language.locale.replace('_', '-') : i18n.language;
+        const timeOptions = { hour: 'numeric', minute: '2-digit' };
+
+        params.time = new Intl.DateTimeFormat(locale, { ...timeOptions, timeZone: this.timeZone }).format(status.opensAt);
+        const localTime = new Intl.DateTimeFormat(locale, timeOptions).format(status.opensAt);
+        params.localTime = localTime !== params.time ? localTime : null;
+
+        const today = this.getZonedParts(new Date());
+        const opening = this.getZonedParts(status.opensAt);
+        const daysAway = Math.round(
+            (Date.UTC(opening.year, opening.month - 1, opening.day) - Date.UTC(today.year, today.month - 1, today.day)) / 86400000
+        );
+
+        if (daysAway === 0) {
+            params.day = i18n.t('availability.today');
+        } else if (daysAway === 1) {
+            params.day = i18n.t('availability.tomorrow');
+        } else {
+            params.day = new Intl.DateTimeFormat(locale, { weekday: 'long', timeZone: this.timeZone }).format(status.opensAt);
+        }
+
+        return params;
+    }
+
+    /**
+     * One-line description of a status, e.g. "Open now — typically replies in 15 min"
+     * @param {Object} [status=this.status] - Status from getStatus()
+     * @returns {string} Translated description
+     */
+    describe(status = this.status || this.getStatus()) {
+        const params = this.getParams(status);
+
+        if (status.isOpen) {
+            return i18n.t('availability.open', params);
+        }
+        if (!status.opensAt) {
+            return i18n.t('availability.closed', params);
+        }
+        return i18n.t(params.localTime ? 'availability.opensLocal' : 'availability.opens', params);
+    }
+
+    destroy() {
+        clearTimeout(this.timer);
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+    }
+}
+
+const businessHours = new BusinessHours(businessHoursSettings);
+
+// Who answers chats. An agent with `services` only takes chats about those service ids;
+// one without takes everything else. `routing` spreads chats across equally suitable agents.
+const chatSettings = {
+    agents: [
+        {
+            id: 'team',
+            name: siteConfig.name,
+            whatsapp: siteConfig.whatsapp,
+            email: siteConfig.email,
+            phone: siteConfig.dialNumber,
+            services: []
+        }
+    ],
+    routing: 'round-robin',
+    fallback: ['email', 'phone'],
+    appTimeout: 2500
+};
+
+/**
+ * Click-to-Chat
+ * Opens a WhatsApp conversation with the right agent and a prefilled, translated message.
+ *
+ * Phones get the whatsapp:// app link and everything else wa.me. When the agent has no
+ * WhatsApp number the first channel in `fallback` the agent does have is used instead; when
+ * the app seems not to have opened, that channel is offered as a button.
+ *
+ * Markup hooks:
+ * - data-chat="whatsapp"            link opened through open(); its href is kept as the no-JS fallback
+ * - data-chat="email" | "phone"     link whose href is filled in from the default agent
+ * - data-chat-service="<id>"        service the conversation is about
+ * - data-chat-source="<name>"       reported as the whatsapp_open source
+ * - data-chat-tooltip               text that switches to an after-hours note while the team is away
+ */
+class ClickToChat {
+    /**
+     * @param {Object} settings - See chatSettings
+     */
+    constructor(settings) {
+        this.settings = settings;
+        this.assignments = new Map();
+        // Start the rotation at a random agent so first chats do not all land on the same person
+        this.turn = Math.floor(Math.random() * settings.agents.length);
+        this.services = [];
+        this.abortController = null;
+    }
+
+    /**
+     * Wire up the markup hooks
+     */
+    init() {
+        if (this.abortController) return;
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-chat="whatsapp"]');
+            if (!link) return;
+
+            e.preventDefault();
+            this.open({
+                service: link.dataset.chatService || '',
+                source: link.dataset.chatSource || 'link'
+            });
+        }, { signal });
+
+        document.addEventListener('language:change', () => {
+            this.renderLinks();
+            this.renderAvailability();
+        }, { signal });
+
+        document.addEventListener('availability:change', () => this.renderAvailability(), { signal });
+
+        this.renderLinks();
+        this.renderAvailability();
+        this.loadServices();
+    }
+
+    /**
+     * Fetch the service catalogue so messages can name a service from its id
+     */
+    loadServices() {
+        loadJSON('data/services.json')
+            .then(catalogue => {
+                this.services = Array.isArray(catalogue.services) ? catalogue.services : [];
+                this.renderLinks();
+            })
+            .catch(error => {
+                console.warn('Click-to-Chat: Could not load the service catalogue:', error);
+            });
+    }
+
+    /**
+     * Translated title of a service, for the prefilled message
+     * @param {string} [service=''] - Service id
+     * @returns {string} Title, or the id when the catalogue does not know it
+     */
+    getServiceName(service = '') {
+        const definition = this.services.find(item => item.id === service);
+        return definition ? i18n.t(`${definition.i18nKey}.title`) : service;
+    }
+
+    /**
+     * Point the data-chat links at the default agent
+     * @param {ParentNode} [root=document] - Subtree to update
+     */
+    renderLinks(root = document) {
+        root.querySelectorAll('[data-chat]').forEach(link => {
+            const agent = this.getAgent(link.dataset.chatService || '');
+            const message = this.getMessage({ service: this.getServiceName(link.dataset.chatService || '') });
+            const href = this.getChannelURL(link.dataset.chat, agent, message, { web: true });
+
+            if (href) {
+                link.href = href;
+            }
+        });
+    }
+
+    /**
+     * Reflect business hours on the WhatsApp links and their tooltips
+     * @param {ParentNode} [root=document] - Subtree to update
+     */
+    renderAvailability(root = document) {
+        const status = businessHours.status || businessHours.getStatus();
+        const params = businessHours.getParams(status);
+
+        root.querySelectorAll('[data-chat="whatsapp"]').forEach(link => {
+            link.dataset.availability = status.isOpen ? 'open' : 'closed';
+        });
+
+        root.querySelectorAll('[data-chat-tooltip]').forEach(tooltip => {
+            const key = status.isOpen || !status.opensAt ? 'whatsapp.tooltip' : 'whatsapp.tooltipClosed';
+
+            // Keep the i18n hooks in step so a later translatePage() renders the same text
+            tooltip.dataset.i18n = key;
+            tooltip.dataset.i18nParams = JSON.stringify(params);
+            tooltip.textContent = i18n.t(key, params);
+        });
+    }
+
+    /**
+     * Start a conversation
+     * @param {Object} [options]
+     * @param {string} [options.service=''] - Service id, used for routing and analytics
+     * @param {string} [options.serviceName] - Name shown in the message (defaults to the catalogue title)
+     * @param {string} [options.message=''] - Message to send instead of the template
+     * @param {string} [options.source='button'] - Where the chat was started from
+     */
+    open({ service = '', serviceName = this.getServiceName(service), message = '', source = 'button' } = {}) {
+        const agent = this.getAgent(service);
+        const text = message || this.getMessage({ service: serviceName });
+
+        if (!agent.whatsapp) {
+            this.fallback(agent, text);
+            return;
+        }
+
+        analytics.track('whatsapp_open', { source, service });
+
+        const status = businessHours.status || businessHours.getStatus();
+        if (!status.isOpen) {
+            const params = businessHours.getParams(status);
+            notifications.show(i18n.t(status.opensAt ? 'chat.afterHours' : 'chat.afterHoursUnknown', params));
+        }
+
+        if (this.isMobile()) {
+            this.launchApp(this.getChannelURL('whatsapp', agent, text), () => this.offerFallback(agent, text));
+        } else {
+            window.open(this.getChannelURL('whatsapp', agent, text, { web: true }), '_blank', 'noopener,noreferrer');
+        }
+    }
+
+    /**
+     * Pick the agent for a conversation; the same visitor keeps the same agent per topic
+     * @param {string} [service=''] - Service id
+     * @returns {Object} Agent
+     */
+    getAgent(service = '') {
+        if (this.assignments.has(service)) {
+            return this.assignments.get(service);
+        }
+
+        const { agents, routing } = this.settings;
+        const specialists = service
+            ? agents.filter(agent => (agent.services || []).includes(service))
+            : [];
+        const generalists = agents.filter(agent => !agent.services || agent.services.length === 0);
+        const pool = specialists.length ? specialists : (generalists.length ? generalists : agents);
+
+        const agent = routing === 'round-robin'
+            ? pool[this.turn++ % pool.length]
+            : pool[0];
+
+        this.assignments.set(service, agent);
+        return agent;
+    }
+
+    /**
+     * Build the prefilled message in the current language
+     * @param {Object} [params]
+     * @param {string} [params.service=''] - Service name
+     * @returns {string} Message
+     */
+    getMessage({ service = '' } = {}) {
+        const params = { service, page: document.title, url: window.location.href };
+        return i18n.t(service ? 'chat.messages.service' : 'chat.messages.default', params);
+    }
+
+    /**
+     * Link for one channel of an agent
+     * @param {string} channel - whatsapp, email or phone
+     * @param {Object} agent - Agent
+     * @param {string} message - Prefilled message
+     * @param {Object} [options]
+     * @param {boolean} [options.web=false] - Use wa.me even on phones
+     * @param {string} [options.subject] - Email subject (defaults to the consultation request)
+     * @returns {string|null} URL, or null if the agent has no such channel
+     */
+    getChannelURL(channel, agent, message, { web = false, subject = i18n.t('chat.emailSubject') } = {}) {
+        const text = encodeURIComponent(message);
+
+        if (channel === 'whatsapp' && agent.whatsapp) {
+            return web
+                ? `https://wa.me/${agent.whatsapp}?text=${text}`
+                : `whatsapp://send?phone=${agent.whatsapp}&text=${text}`;
+        }
+        if (channel === 'email' && agent.email) {
+            return `mailto:${agent.email}?subject=${encodeURIComponent(subject)}&body=${text}`;
+        }
+        if (channel === 'phone' && agent.phone) {
+            return `tel:${agent.phone.replace(/\s+/g, '')}`;
+        }
+        return null;
+    }
+
+    /**
+     * Whether this is a phone or tablet, where the WhatsApp app is the better target
+     * @returns {boolean} True on mobile platforms
+     */
+    isMobile() {
+        if (navigator.userAgentData) {
+            return navigator.userAgentData.mobile;
+        }
+        return /Android|iPhone|iPad|iPod/i.test(navigator.userAgent);
+    }
+
+    /**
+     * Follow an app link and report if nothing took over the page.
+     * There is no API to ask whether an app is installed: if the page is still visible once
+     * appTimeout has passed, the link went nowhere.
+     * @param {string} url - App URL
+     * @param {Function} onFail - Called when the app did not open
+     */
+    launchApp(url, onFail) {
+        const controller = new AbortController();
+        const { signal } = controller;
+
+        const timer = setTimeout(() => {
+            controller.abort();
+            if (!document.hidden) {
+                onFail();
+            }
+        }, this.settings.appTimeout);
+
+        const cancel = () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) cancel();
+        }, { signal });
+        window.addEventListener('pagehide', cancel, { signal });
+        window.addEventListener('blur', cancel, { signal });
+
+        window.location.href = url;
+    }
+
+    /**
+     * Continue on the first fallback channel the agent has
+     * @param {Object} agent - Agent
+     * @param {string} message - Prefilled message
+     */
+    fallback(agent, message) {
+        const channel = this.settings.fallback.find(name => this.getChannelURL(name, agent, message));
+        if (!channel) {
+            notifications.show(i18n.t('chat.unavailable'), { type: 'error' });
+            return;
+        }
+
+        analytics.track('contact_click', { channel, location: 'chat_fallback' });
+        notifications.show(i18n.t(`chat.fallback.${channel}`));
+
+        window.location.href = this.getChannelURL(channel, agent, message);
+    }
+
+    /**
+     * After the app seemed not to open, offer the first fallback channel instead of switching to it:
+     * a slow app launch can look like a failure, and a visitor in WhatsApp shouldn't come back to a call
+     * @param {Object} agent - Agent from getAgent()
+     * @param {string} message - Message text
+     */
+    offerFallback(agent, message) {
+        const channel = this.settings.fallback.find(name => this.getChannelURL(name, agent, message));
+        if (!channel) {
+            notifications.show(i18n.t('chat.unavailable'), { type: 'error' });
+            return;
+        }
+
+        notifications.show(i18n.t('chat.appNotOpened'), {
+            duration: 0,
+            action: {
+                label: i18n.t(`chat.fallbackAction.${channel}`),
+                onClick: () => {
+                    analytics.track('contact_click', { channel, location: 'chat_fallback' });
+                    window.location.href = this.getChannelURL(channel, agent, message);
+                }
+            }
+        });
+    }
+
+    destroy() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+    }
+}
+
+const clickToChat = new ClickToChat(chatSettings);
+
+/**
+ * Transport that POSTs a request to an endpoint as JSON (bookings, contact messages)
+ */
+class HttpTransport {
+    /**
+     * @param {string} url - Endpoint
+     */
+    constructor(url) {
+        this.url = url;
+    }
+
+    /**
+     * @param {Object} payload - Request body
+     * @returns {Promise<Object>} Endpoint response, e.g. { id }; HTTP errors carry a `status`
+     */
+    send(payload) {
+        return fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        }).then(response => {
+            if (!response.ok) {
+                const error = new Error(`HTTP ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            return response.json().catch(() => ({}));
+        });
+    }
+}
+
+/**
+ * Development stand-in for an endpoint: accepts every request without sending it anywhere.
+ * Only used on localhost or with ?mock=1, so a live site without an endpoint never
+ * tells a visitor their request went through.
+ */
+class LocalTransport {
+    /**
+     * @param {string} name - Label for the console output
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * @returns {boolean} True when the page is running locally or was opened with ?mock=1
+     */
+    static isAllowed() {
+        return ['localhost', '127.0.0.1'].includes(window.location.hostname)
+            || new URLSearchParams(window.location.search).get('mock') === '1';
+    }
+
+    send() {
+        // Requests carry names, emails and messages, so only the fact of one is logged
+        console.log(`[${this.name}] Request accepted by the local transport; nothing was sent.`);
+        return new Promise(resolve => {
+            setTimeout(() => resolve({ id: `local-${Date.now()}` }), 300);
+        });
+    }
+}
+
+// Consultation booking: slots are cut from `availability` (same shape as businessHoursSettings)
+const bookingSettings = {
+    availability: businessHoursSettings,
+    duration: 30,
+    slotInterval: 30,
+    leadTime: 120,
+    days: 14,
+    organizer: { name: siteConfig.name, email: siteConfig.email }
+};
+
+/**
+ * Booking Widget
+ * Lets visitors pick a consultation slot in their own time zone, sends the request through a
+ * pluggable transport, and hands back an .ics file plus Google and Outlook calendar links.
+ *
+ * Markup hooks:
+ * - data-booking-open                 button that opens the booking dialog
+ * - data-booking-service="<id>"       service to preselect
+ */
+class BookingWidget {
+    /**
+     * @param {Object} settings - See bookingSettings
+     */
+    constructor(settings) {
+        this.settings = settings;
+        this.hours = new BusinessHours(settings.availability);
+        this.transport = null;
+        this.servicesRequest = null;
+        this.servicesList = [];
+        this.state = null;
+        this.modal = null;
+        this.downloadURL = null;
+        this.abortController = null;
+    }
+
+    get isOpen() {
+        return Boolean(this.modal && this.modal.isOpen);
+    }
+
+    /**
+     * Replace how booking requests are delivered
+     * @param {{send: Function}|null} transport - Object whose send(booking) returns a promise
+     */
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    /**
+     * Wire up the markup hooks
+     */
+    init() {
+        if (this.abortController) return;
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+
+        document.addEventListener('click', (e) => {
+            const opener = e.target.closest('[data-booking-open]');
+            if (opener) {
+                e.preventDefault();
+                this.open({ service: opener.dataset.bookingService || '' });
+            }
+        }, { signal });
+
+        document.addEventListener('language:change', () => {
+            if (this.isOpen) {
+                this.saveFormState();
+                this.render();
+            }
+        }, { signal });
+
+        // Slots are only offered on working days
+        this.hours.loadHolidays();
+    }
+
+    /**
+     * Show the booking form
+     * @param {Object} [options]
+     * @param {string} [options.service=''] - Service id to preselect
+     */
+    open({ service = '' } = {}) {
+        if (!this.modal) {
+            this.build();
+        }
+
+        const slots = this.getSlots();
+        this.state = {
+            view: 'form',
+            slots,
+            day: slots.length ? this.getDayKey(slots[0].start) : '',
+            slot: '',
+            name: '',
+            email: '',
+            service,
+            isSending: false,
+            error: '',
+            isUnavailable: false,
+            booking: null
+        };
+        this.render();
+        this.modal.open();
+
+        // The service list comes from the same catalogue as the cards
+        this.loadServices().then(() => {
+            if (this.isOpen && this.state.view === 'form') {
+                this.saveFormState();
+                this.render();
+            }
+        });
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.modal.close();
+
+        if (this.downloadURL) {
+            URL.revokeObjectURL(this.downloadURL);
+            this.downloadURL = null;
+        }
+    }
+
+    build() {
+        this.modal = new Modal({
+            className: 'booking-dialog',
+            labelledBy: 'booking-dialog-title',
+            describedBy: 'booking-dialog-description',
+            onDismiss: () => this.close()
+        });
+        this.dialog = this.modal.dialog;
+
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target.closest('.service-dialog-close, [data-booking-action="close"]')) {
+                this.close();
+            }
+        });
+
+        this.dialog.addEventListener('change', (e) => {
+            if (e.target.name === 'day') {
+                this.saveFormState();
+                this.state.day = e.target.value;
+                this.state.slot = '';
+                this.renderSlots();
+            }
+        });
+
+        this.dialog.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+    }
+
+    /**
+     * Fetch the service catalogue once
+     * @returns {Promise<Object[]>} Service definitions
+     */
+    loadServices() {
+        if (!this.servicesRequest) {
+            this.servicesRequest = loadJSON('data/services.json')
+                .then(catalogue => {
+                    this.servicesList = Array.isArray(catalogue.services) ? catalogue.services : [];
+                    return this.servicesList;
+                })
+                .catch(error => {
+                    console.warn('Booking: Could not load the service catalogue:', error);
+                    return [];
+                });
+        }
+        return this.servicesRequest;
+    }
+
+    /**
+     * Bookable slots from now until `days` ahead
+     * @param {Date} [now=new Date()] - Current time
+     * @returns {{start: Date, end: Date}[]} Slots in order
+     */
+    getSlots(now = new Date()) {
+        const { duration, slotInterval, leadTime, days } = this.settings;
+        const earliest = now.getTime() + leadTime * 60000;
+        const today = this.hours.getZonedParts(now);
+        const slots = [];
+
+        for (let offset = 0; offset <= days; offset++) {
+            const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+
+            this.hours.getIntervals(date).forEach(({ opensAt, closesAt }) => {
+                for (let start = opensAt.getTime(); start + duration * 60000 <= closesAt.getTime(); start += slotInterval * 60000) {
+                    if (start >= earliest) {
+                        slots.push({ start: new Date(start), end: new Date(start + duration * 60000) });
+                    }
+                }
+            });
+        }
+        return slots;
+    }
+
+    /**
+     * Calendar day of an instant on the visitor's clock, used to group slots
+     * @param {Date} date - Instant
+     * @returns {string} YYYY-MM-DD
+     */
+    getDayKey(date) {
+        return [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, '0'),
+            String(date.getDate()).padStart(2, '0')
+        ].join('-');
+    }
+
+    getLocale() {
+        const language = languages[i18n.language];
+        return language ? language.locale.replace('_', '-') : i18n.language;
+    }
+
+    /**
+     * Keep typed values across re-renders
+     */
+    saveFormState() {
+        const form = this.dialog.querySelector('.booking-form');
+        if (!form) return;
+
+        const data = new FormData(form);
+        ['name', 'email', 'service', 'day', 'slot'].forEach(field => {
+            if (data.has(field)) {
+                this.state[field] = String(data.get(field));
+            }
+        });
+    }
+
+    render() {
+        const escape = value => i18n.escapeHTML(String(value));
+
+        const closeButton = `
+            <button type="button" class="service-dialog-close" aria-label="${escape(i18n.t('booking.close'))}">
+                <span aria-hidden="true">&times;</span>
+            </button>
+        `;
+
+        if (this.state.view === 'done') {
+            this.dialog.innerHTML = closeButton + this.renderConfirmation();
+            return;
+        }
+
+        const { slots } = this.state;
+        const locale = this.getLocale();
+        const dayFormat = new Intl.DateTimeFormat(locale, { weekday: 'long', day: 'numeric', month: 'long' });
+        const days = [...new Map(slots.map(slot => [this.getDayKey(slot.start), slot.start])).entries()];
+
+        const serviceOptions = this.servicesList.map(service => `
+            <option value="${escape(service.id)}" ${service.id === this.state.service ? 'selected' : ''}>${escape(i18n.t(`${service.i18nKey}.title`))}</option>
+        `).join('');
+
+        this.dialog.innerHTML = `
+            ${closeButton}
+            <header class="service-dialog-header">
+                <h2 class="service-dialog-title" id="booking-dialog-title">${escape(i18n.t('booking.title'))}</h2>
+                <p class="service-dialog-description" id="booking-dialog-description">${escape(i18n.t('booking.intro', { minutes: this.settings.duration }))}</p>
+            </header>
+            ${slots.length ? `
+            <form class="booking-form" novalidate>
+                <div class="booking-field">
+                    <label for="booking-day">${escape(i18n.t('booking.day'))}</label>
+                    <select id="booking-day" name="day">
+                        ${days.map(([key, date]) => `<option value="${key}" ${key === this.state.day ? 'selected' : ''}>${escape(dayFormat.format(date))}</option>`).join('')}
+                    </select>
+                </div>
+                <fieldset class="booking-slots">
+                    <legend>${escape(i18n.t('booking.time'))}</legend>
+                    <div class="booking-slot-list"></div>
+                    <p class="booking-timezone">${escape(i18n.t('booking.timeZone', { timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone }))}</p>
+                </fieldset>
+                <div class="booking-field">
+                    <label for="booking-name">${escape(i18n.t('booking.name'))}</label>
+                    <input type="text" id="booking-name" name="name" autocomplete="name" required value="${escape(this.state.name)}">
+                </div>
+                <div class="booking-field">
+                    <label for="booking-email">${escape(i18n.t('booking.email'))}</label>
+                    <input type="email" id="booking-email" name="email" autocomplete="email" required value="${escape(this.state.email)}">
+                </div>
+                <div class="booking-field">
+                    <label for="booking-service">${escape(i18n.t('booking.service'))}</label>
+                    <select id="booking-service" name="service">
+                        <option value="">${escape(i18n.t('booking.serviceAny'))}</option>
+                        ${serviceOptions}
+                    </select>
+                </div>
+                <p class="booking-error" role="alert" ${this.state.error ? '' : 'hidden'}>${escape(this.state.error)}</p>
+                ${this.state.isUnavailable ? `
+                <p class="booking-fallback">
+                    <a class="btn btn-secondary" data-chat="whatsapp" data-chat-source="booking" href="#">${escape(i18n.t('booking.chatInstead'))}</a>
+                    <a class="btn btn-secondary" data-chat="email" href="#">${escape(i18n.t('booking.emailInstead'))}</a>
+                </p>` : ''}
+                <button type="submit" class="btn btn-primary booking-submit" ${this.state.isSending ? 'disabled aria-busy="true"' : ''}>
+                    <span>${escape(i18n.t(this.state.isSending ? 'booking.sending' : 'booking.submit'))}</span>
+                </button>
+            </form>` : `
+            <p class="booking-empty">${escape(i18n.t('booking.noSlots'))}</p>
+            <a class="btn btn-secondary" data-chat="whatsapp" data-chat-source="booking" href="#">${escape(i18n.t('booking.chatInstead'))}</a>`}
+        `;
+
+        if (slots.length) {
+            this.renderSlots();
+        }
+        clickToChat.renderLinks(this.dialog);
+    }
+
+    /**
+     * Fill the time choices for the selected day
+     */
+    renderSlots() {
+        const list = this.dialog.querySelector('.booking-slot-list');
+        if (!list) return;
+
+        const timeFormat = new Intl.DateTimeFormat(this.getLocale(), { hour: 'numeric', minute: '2-digit' });
+        const slots = this.state.slots.filter(slot => this.getDayKey(slot.start) === this.state.day);
+
+        list.innerHTML = slots.map((slot, index) => {
+            const value = slot.start.toISOString();
+            return `
+                <label class="booking-slot">
+                    <input type="radio" name="slot" value="${value}" ${value === this.state.slot ? 'checked' : ''} ${index === 0 ? 'required' : ''}>
+                    <span>${i18n.escapeHTML(timeFormat.format(slot.start))}</span>
+                </label>
+            `;
+        }).join('');
+    }
+
+    renderConfirmation() {
+        const escape = value => i18n.escapeHTML(String(value));
+        const { booking } = this.state;
+        const when = new Intl.DateTimeFormat(this.getLocale(), {
+            weekday: 'long', day: 'numeric', month: 'long', hour: 'numeric', minute: '2-digit'
+        }).format(new Date(booking.start));
+        const links = this.getCalendarLinks(booking);
+
+        if (this.downloadURL) {
+            URL.revokeObjectURL(this.downloadURL);
+        }
+        this.downloadURL = URL.createObjectURL(new Blob([this.buildICS(booking)], { type: 'text/calendar;charset=utf-8' }));
+
+        return `
+            <header class="service-dialog-header">
+                <h2 class="service-dialog-title" id="booking-dialog-title">${escape(i18n.t('booking.doneTitle'))}</h2>
+                <p class="service-dialog-description" id="booking-dialog-description">${escape(i18n.t('booking.doneText', { when, email: booking.email }))}</p>
+            </header>
+            <div class="booking-calendar">
+                <a class="btn btn-secondary" href="${this.downloadURL}" download="grow-nest-consultation.ics">${escape(i18n.t('booking.downloadICS'))}</a>
+                <a class="btn btn-secondary" href="${escape(links.google)}" target="_blank" rel="noopener noreferrer">${escape(i18n.t('booking.addGoogle'))}</a>
+                <a class="btn btn-secondary" href="${escape(links.outlook)}" target="_blank" rel="noopener noreferrer">${escape(i18n.t('booking.addOutlook'))}</a>
+            </div>
+            <button type="button" class="btn btn-primary" data-booking-action="close">${escape(i18n.t('booking.done'))}</button>
+        `;
+    }
+
+    /**
+     * Validate the form and send the request
+     */
+    submit() {
+        if (this.state.isSending) return;
+
+        const form = this.dialog.querySelector('.booking-form');
+        this.saveFormState();
+
+        const slot = this.state.slots.find(candidate => candidate.start.toISOString() === this.state.slot);
+        const invalid = form.querySelector(':invalid');
+        if (!slot || invalid) {
+            this.state.error = i18n.t(slot ? 'booking.errors.details' : 'booking.errors.slot');
+            this.render();
+            const target = slot ? this.dialog.querySelector(':invalid') : this.dialog.querySelector('[name="slot"]');
+            if (target) target.focus();
+            return;
+        }
+
+        const request = {
+            service: this.state.service,
+            name: this.state.name.trim(),
+            email: this.state.email.trim(),
+            start: slot.start.toISOString(),
+            end: slot.end.toISOString(),
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            language: i18n.language
+        };
+
+        // Without an endpoint nothing would reach the team, so point the visitor at a channel that does
+        if (!this.transport) {
+            console.warn('Booking: No booking-endpoint is configured, so requests cannot be sent.');
+            this.state.error = i18n.t('booking.errors.unavailable');
+            this.state.isUnavailable = true;
+            this.render();
+            analytics.track('booking_request', { service: request.service, status: 'unavailable' });
+            return;
+        }
+
+        this.state.isSending = true;
+        this.state.error = '';
+        this.render();
+
+        Promise.resolve()
+            .then(() => this.transport.send(request))
+            .then(response => {
+                this.state.booking = { ...request, id: (response && response.id) || `${Date.now()}` };
+                this.state.view = 'done';
+                this.state.isSending = false;
+                this.render();
+                this.dialog.focus();
+
+                analytics.track('booking_request', { service: request.service, status: 'sent' });
+                notifications.show(i18n.t('booking.confirmed'), { type: 'success' });
+            })
+            .catch(error => {
+                console.error('Booking: Could not send the request:', error.message);
+                this.state.isSending = false;
+                this.state.error = i18n.t('booking.errors.send');
+                this.render();
+
+                analytics.track('booking_request', { service: request.service, status: 'failed' });
+                notifications.show(this.state.error, { type: 'error' });
+            });
+    }
+
+    getEventTitle(booking) {
+        const service = this.servicesList.find(candidate => candidate.id === booking.service);
+        return service
+            ? i18n.t('booking.eventTitleService', { service: i18n.t(`${service.i18nKey}.title`) })
+            : i18n.t('booking.eventTitle');
+    }
+
+    /**
+     * Build an iCalendar (RFC 5545) file for a booking
+     * @param {Object} booking - Sent booking
+     * @returns {string} .ics contents
+     */
+    buildICS(booking) {
+        const { organizer } = this.settings;
+        const stamp = date => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        const text = value => String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Grow Nest//Consultation booking//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'BEGIN:VEVENT',
+            `UID:${booking.id}@grownest`,
+            `DTSTAMP:${stamp(Date.now())}`,
+            `DTSTART:${stamp(booking.start)}`,
+            `DTEND:${stamp(booking.end)}`,
+            `SUMMARY:${text(this.getEventTitle(booking))}`,
+            `DESCRIPTION:${text(i18n.t('booking.eventDescription', { email: organizer.email }))}`,
+            `ORGANIZER;CN=${text(organizer.name)}:mailto:${organizer.email}`,
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ];
+
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Split a content line into 75-octet pieces, as iCalendar requires
+     * @param {string} line - Content line
+     * @returns {string} Folded line
+     */
+    foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+
+        for (const char of line) {
+            // Continuation lines start with a space, which counts towards their 75 octets
+            const limit = parts.length ? 74 : 75;
+            if (encoder.encode(current + char).length > limit) {
+                parts.push(current);
+                current = '';
+            }
+            current += char;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * Add-to-calendar links for web calendars
+     * @param {Object} booking - Sent booking
+     * @returns {{google: string, outlook: string}} URLs
+     */
+    getCalendarLinks(booking) {
+        const title = this.getEventTitle(booking);
+        const details = i18n.t('booking.eventDescription', { email: this.settings.organizer.email });
+        const stamp = date => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+        const google = new URLSearchParams({
+            action: 'TEMPLATE',
+            text: title,
+            dates: `${stamp(booking.start)}/${stamp(booking.end)}`,
+            details
+        });
+        const outlook = new URLSearchParams({
+            path: '/calendar/action/compose',
+            rru: 'addevent',
+            subject: title,
+            startdt: booking.start,
+            enddt: booking.end,
+            body: details
+        });
+
+        return {
+            google: `https://calendar.google.com/calendar/render?${google}`,
+            outlook: `https://outlook.live.com/calendar/0/deeplink/compose?${outlook}`
+        };
+    }
+
+    destroy() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+        if (this.modal) {
+            this.modal.destroy();
+            this.modal = null;
+            this.dialog = null;
+        }
+        if (this.downloadURL) {
+            URL.revokeObjectURL(this.downloadURL);
+            this.downloadURL = null;
+        }
+        this.hours.destroy();
+    }
+}
+
+const booking = new BookingWidget(bookingSettings);
+
+/**
+ * Quote Wizard
+ * Walks a prospect through the services they want, a few questions per service and a
+ * timeline, then prices it with the rules in data/pricing.json.
+ *
+ * Each service in the pricing file has a base `setup` and `monthly` fee and a list of
+ * questions; every answer option can add to either fee. The timeline scales setup fees.
+ * Question and option copy lives under quote.questions.<questionId> in the locale bundles.
+ *
+ * Markup hooks:
+ * - data-quote-open                   button that opens the wizard
+ * - data-quote-service="<id>"         service to tick when starting afresh
+ */
+class QuoteWizard {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.pricingURL='data/pricing.json'] - Pricing rules
+     * @param {string} [options.storageKey='quoteEstimate'] - localStorage key of the saved progress
+     */
+    constructor({ pricingURL = 'data/pricing.json', storageKey = 'quoteEstimate' } = {}) {
+        this.pricingURL = pricingURL;
+        this.storageKey = storageKey;
+        this.pricing = null;
+        this.catalogue = [];
+        this.state = this.load() || this.getInitialState();
+        this.error = '';
+        this.modal = null;
+        this.abortController = null;
+    }
+
+    get isOpen() {
+        return Boolean(this.modal && this.modal.isOpen);
+    }
+
+    getInitialState() {
+        return { step: 0, services: [], answers: {}, timeline: '' };
+    }
+
+    /**
+     * Read saved progress
+     * @returns {Object|null} Wizard state, or null if none is stored
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored && Array.isArray(stored.services) && stored.answers) {
+                return stored;
+            }
+        } catch (error) {
+            console.warn('Could not load the saved estimate:', error);
+        }
+        return null;
+    }
+
+    /**
+     * Save progress, if the visitor lets us remember preferences
+     */
+    save() {
+        if (!consent.isGranted('preferences')) return;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (error) {
+            console.warn('Could not save the estimate:', error);
+        }
+    }
+
+    /**
+     * Wire up the markup hooks
+     */
+    init() {
+        if (this.abortController) return;
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+
+        document.addEventListener('click', (e) => {
+            const opener = e.target.closest('[data-quote-open]');
+            if (opener) {
+                e.preventDefault();
+                this.open({ service: opener.dataset.quoteService || '' });
+            }
+        }, { signal });
+
+        document.addEventListener('language:change', () => {
+            if (this.isOpen) {
+                this.readStep();
+                this.render();
+            }
+        }, { signal });
+    }
+
+    /**
+     * Show the wizard where the visitor left off
+     * @param {Object} [options]
+     * @param {string} [options.service=''] - Service to tick when nothing has been chosen yet
+     */
+    open({ service = '' } = {}) {
+        if (!this.modal) {
+            this.build();
+        }
+
+        if (service && this.state.services.length === 0) {
+            this.state.services = [service];
+        }
+
+        this.render();
+        this.modal.open();
+
+        analytics.track('quote_action', { action: 'open', services: this.state.services.join(',') });
+
+        this.loadRules().then(() => {
+            if (!this.isOpen) return;
+            // Drop answers the current pricing no longer knows about
+            this.state.services = this.state.services.filter(id => this.pricing.services[id]);
+            this.state.step = Math.min(this.state.step, this.getSteps().length - 1);
+            this.render();
+            this.focusStep();
+        }).catch(error => {
+            console.error('Quote wizard: Could not load pricing:', error);
+            this.error = i18n.t('quote.errors.load');
+            this.render();
+        });
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.readStep();
+        this.save();
+        this.modal.close();
+    }
+
+    build() {
+        this.modal = new Modal({
+            className: 'quote-dialog',
+            labelledBy: 'quote-dialog-title',
+            onDismiss: () => this.close()
+        });
+        this.dialog = this.modal.dialog;
+
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target.closest('.service-dialog-close')) {
+                this.close();
+                return;
+            }
+
+            const actionButton = e.target.closest('[data-quote-action]');
+            if (actionButton) {
+                this.handleAction(actionButton.dataset.quoteAction);
+            }
+        });
+
+        // Answers are kept as they are picked, so closing mid-step loses nothing
+        this.dialog.addEventListener('change', () => {
+            this.readStep();
+            this.save();
+        });
+
+        this.dialog.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.next();
+        });
+    }
+
+    /**
+     * Fetch the pricing rules and the service catalogue
+     * @returns {Promise<void>} Resolves once both are available
+     */
+    loadRules() {
+        return Promise.all([loadJSON(this.pricingURL), loadJSON('data/services.json')])
+            .then(([pricing, catalogue]) => {
+                this.pricing = pricing;
+                this.catalogue = (Array.isArray(catalogue.services) ? catalogue.services : [])
+                    .filter(service => pricing.services[service.id]);
+            });
+    }
+
+    /**
+     * Steps for the current choice of services
+     * @returns {string[]} "services", one "service:<id>" per chosen service, "timeline" and "summary"
+     */
+    getSteps() {
+        return ['services', ...this.state.services.map(id => `service:${id}`), 'timeline', 'summary'];
+    }
+
+    getServiceTitle(id) {
+        const service = this.catalogue.find(candidate => candidate.id === id);
+        return service ? i18n.t(`${service.i18nKey}.title`) : id;
+    }
+
+    /**
+     * Copy the inputs of the visible step into the state
+     */
+    readStep() {
+        const form = this.dialog && this.dialog.querySelector('.quote-form');
+        if (!form) return;
+
+        const step = this.getSteps()[this.state.step];
+        const data = new FormData(form);
+
+        if (step === 'services') {
+            this.state.services = data.getAll('service').map(String);
+        } else if (step === 'timeline') {
+            this.state.timeline = String(data.get('timeline') || '');
+        } else if (step.startsWith('service:')) {
+            const id = step.slice('service:'.length);
+            const answers = {};
+            this.pricing.services[id].questions.forEach(question => {
+                if (data.get(question.id)) {
+                    answers[question.id] = String(data.get(question.id));
+                }
+            });
+            this.state.answers[id] = answers;
+        }
+    }
+
+    /**
+     * Check the visible step
+     * @returns {string} Error message, or an empty string when the step is complete
+     */
+    validateStep() {
+        const step = this.getSteps()[this.state.step];
+
+        if (step === 'services' && this.state.services.length === 0) {
+            return i18n.t('quote.errors.services');
+        }
+        if (step === 'timeline' && !this.state.timeline) {
+            return i18n.t('quote.errors.answer');
+        }
+        if (step.startsWith('service:')) {
+            const id = step.slice('service:'.length);
+            const answers = this.state.answers[id] || {};
+            if (this.pricing.services[id].questions.some(question => !answers[question.id])) {
+                return i18n.t('quote.errors.answer');
+            }
+        }
+        return '';
+    }
+
+    next() {
+        if (!this.pricing) return;
+
+        this.readStep();
+        this.error = this.validateStep();
+
+        if (!this.error) {
+            this.state.step = Math.min(this.state.step + 1, this.getSteps().length - 1);
+            this.save();
+
+            if (this.getSteps()[this.state.step] === 'summary') {
+                const estimate = this.getEstimate();
+                analytics.track('quote_action', {
+                    action: 'estimate',
+                    services: this.state.services.join(','),
+                    setup: estimate.setup,
+                    monthly: estimate.monthly
+                });
+            }
+        }
+
+        this.render();
+        this.focusStep();
+    }
+
+    back() {
+        this.readStep();
+        this.error = '';
+        this.state.step = Math.max(this.state.step - 1, 0);
+        this.save();
+        this.render();
+        this.focusStep();
+    }
+
+    handleAction(action) {
+        if (action === 'back') {
+            this.back();
+        } else if (action === 'restart') {
+            this.state = this.getInitialState();
+            this.error = '';
+            this.save();
+            this.render();
+            this.focusStep();
+        } else if (action === 'whatsapp' || action === 'email') {
+            this.send(action);
+        }
+    }
+
+    /**
+     * Move focus to the heading of the visible step so screen readers announce it
+     */
+    focusStep() {
+        const heading = this.dialog.querySelector('.quote-step-title');
+        if (heading) {
+            heading.focus();
+        }
+    }
+
+    /**
+     * Price the current answers
+     * @returns {{items: Object[], timeline: Object|null, setupBeforeTimeline: number, setup: number, monthly: number}}
+     *          Line items per service plus totals
+     */
+    getEstimate() {
+        const items = this.state.services.map(id => {
+            const rules = this.pricing.services[id];
+            const answers = this.state.answers[id] || {};
+            const item = { service: id, setup: rules.setup || 0, monthly: rules.monthly || 0, answers: [] };
+
+            rules.questions.forEach(question => {
+                const option = question.options.find(candidate => candidate.id === answers[question.id]);
+                if (!option) return;
+
+                item.setup += option.setup || 0;
+                item.monthly += option.monthly || 0;
+                item.answers.push({ question: question.id, option: option.id });
+            });
+            return item;
+        });
+
+        const timeline = this.pricing.timelines.find(candidate => candidate.id === this.state.timeline) || null;
+        const setupBeforeTimeline = items.reduce((sum, item) => sum + item.setup, 0);
+        const multiplier = timeline ? timeline.setupMultiplier : 1;
+
+        return {
+            items,
+            timeline,
+            setupBeforeTimeline,
+            setup: Math.round(setupBeforeTimeline * multiplier),
+            monthly: items.reduce((sum, item) => sum + item.monthly, 0)
+        };
+    }
+
+    formatPrice(amount) {
+        const language = languages[i18n.language];
+        const locale = language ? language.locale.replace('_', '-') : i18n.language;
+        return new Intl.NumberFormat(locale, {
+            style: 'currency',
+            currency: this.pricing.currency,
+            maximumFractionDigits: 0
+        }).format(amount);
+    }
+
+    render() {
+        const escape = value => i18n.escapeHTML(String(value));
+        const closeButton = `
+            <button type="button" class="service-dialog-close" aria-label="${escape(i18n.t('quote.close'))}">
+                <span aria-hidden="true">&times;</span>
+            </button>
+        `;
+
+        if (!this.pricing) {
+            this.dialog.innerHTML = `
+                ${closeButton}
+                <header class="service-dialog-header">
+                    <h2 class="service-dialog-title" id="quote-dialog-title">${escape(i18n.t('quote.title'))}</h2>
+                    <p class="service-dialog-description" ${this.error ? 'role="alert"' : ''}>${escape(this.error || i18n.t('quote.loading'))}</p>
+                </header>
+            `;
+            return;
+        }
+
+        const steps = this.getSteps();
+        const step = steps[this.state.step];
+        const isSummary = step === 'summary';
+
+        this.dialog.innerHTML = `
+            ${closeButton}
+            <header class="service-dialog-header">
+                <h2 class="service-dialog-title" id="quote-dialog-title">${escape(i18n.t('quote.title'))}</h2>
+                <p class="quote-progress">${escape(i18n.t('quote.progress', { current: this.state.step + 1, total: steps.length }))}</p>
+                <div class="quote-progress-bar" aria-hidden="true"><span style="width: ${((this.state.step + 1) / steps.length) * 100}%"></span></div>
+            </header>
+            ${isSummary ? this.renderSummary() : `
+            <form class="quote-form" novalidate>
+                ${this.renderStep(step)}
+                <p class="quote-error" role="alert" ${this.error ? '' : 'hidden'}>${escape(this.error)}</p>
+                <div class="quote-actions">
+                    ${this.state.step > 0 ? `<button type="button" class="btn btn-secondary" data-quote-action="back">${escape(i18n.t('quote.back'))}</button>` : ''}
+                    <button type="submit" class="btn btn-primary">${escape(i18n.t(steps[this.state.step + 1] === 'summary' ? 'quote.seeEstimate' : 'quote.next'))}</button>
+                </div>
+            </form>`}
+        `;
+    }
+
+    /**
+     * Markup for one question step
+     * @param {string} step - Step name from getSteps()
+     * @returns {string} HTML
+     */
+    renderStep(step) {
+        const escape = value => i18n.escapeHTML(String(value));
+        const choice = ({ type, name, value, checked, label, hint = '' }) => `
+            <label class="quote-choice">
+                <input type="${type}" name="${name}" value="${escape(value)}" ${checked ? 'checked' : ''}>
+                <span class="quote-choice-label">${escape(label)}</span>
+                ${hint ? `<span class="quote-choice-hint">${escape(hint)}</span>` : ''}
+            </label>
+        `;
+
+        if (step === 'services') {
+            return `
+                <fieldset class="quote-step">
+                    <legend class="quote-step-title" tabindex="-1">${escape(i18n.t('quote.steps.services'))}</legend>
+                    <div class="quote-choices">
+                        ${this.catalogue.map(service => choice({
+                            type: 'checkbox',
+                            name: 'service',
+                            value: service.id,
+                            checked: this.state.services.includes(service.id),
+                            label: i18n.t(`${service.i18nKey}.title`)
+                        })).join('')}
+                    </div>
+                </fieldset>
+            `;
+        }
+
+        if (step === 'timeline') {
+            return `
+                <fieldset class="quote-step">
+                    <legend class="quote-step-title" tabindex="-1">${escape(i18n.t('quote.steps.timeline'))}</legend>
+                    <div class="quote-choices">
+                        ${this.pricing.timelines.map(timeline => choice({
+                            type: 'radio',
+                            name: 'timeline',
+                            value: timeline.id,
+                            checked: this.state.timeline === timeline.id,
+                            label: i18n.t(`quote.timelines.${timeline.id}.label`),
+                            hint: i18n.t(`quote.timelines.${timeline.id}.description`)
+                        })).join('')}
+                    </div>
+                </fieldset>
+            `;
+        }
+
+        const id = step.slice('service:'.length);
+        const answers = this.state.answers[id] || {};
+
+        return `
+            <div class="quote-step">
+                <h3 class="quote-step-title" tabindex="-1">${escape(this.getServiceTitle(id))}</h3>
+                ${this.pricing.services[id].questions.map(question => `
+                    <fieldset class="quote-question">
+                        <legend>${escape(i18n.t(`quote.questions.${question.id}.label`))}</legend>
+                        <div class="quote-choices">
+                            ${question.options.map(option => choice({
+                                type: 'radio',
+                                name: question.id,
+                                value: option.id,
+                                checked: answers[question.id] === option.id,
+                                label: i18n.t(`quote.questions.${question.id}.options.${option.id}`)
+                            })).join('')}
+                        </div>
+                    </fieldset>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderSummary() {
+        const escape = value => i18n.escapeHTML(String(value));
+        const estimate = this.getEstimate();
+        const price = ({ setup, monthly }) => [
+            setup ? i18n.t('quote.setupPrice', { amount: this.formatPrice(setup) }) : '',
+            monthly ? i18n.t('quote.monthlyPrice', { amount: this.formatPrice(monthly) }) : ''
+        ].filter(Boolean).join(' + ') || this.formatPrice(0);
+
+        const adjustment = estimate.setup - estimate.setupBeforeTimeline;
+
+        return `
+            <div class="quote-summary">
+                <h3 class="quote-step-title" tabindex="-1">${escape(i18n.t('quote.steps.summary'))}</h3>
+                <table class="quote-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">${escape(i18n.t('quote.table.service'))}</th>
+                            <th scope="col">${escape(i18n.t('quote.table.price'))}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${estimate.items.map(item => `
+                            <tr>
+                                <th scope="row">
+                                    ${escape(this.getServiceTitle(item.service))}
+                                    <span class="quote-table-answers">${escape(this.describeAnswers(item))}</span>
+                                </th>
+                                <td>${escape(price(item))}</td>
+                            </tr>
+                        `).join('')}
+                        ${estimate.timeline ? `
+                            <tr>
+                                <th scope="row">${escape(i18n.t(`quote.timelines.${estimate.timeline.id}.label`))}</th>
+                                <td>${adjustment ? escape(i18n.t('quote.setupPrice', { amount: `${adjustment > 0 ? '+' : '−'}${this.formatPrice(Math.abs(adjustment))}` })) : '—'}</td>
+                            </tr>` : ''}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th scope="row">${escape(i18n.t('quote.table.total'))}</th>
+                            <td>${escape(price(estimate))}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+                <p class="quote-disclaimer">${escape(i18n.t('quote.disclaimer'))}</p>
+                <div class="quote-actions">
+                    <button type="button" class="btn btn-primary" data-quote-action="whatsapp">${escape(i18n.t('quote.sendWhatsApp'))}</button>
+                    <button type="button" class="btn btn-secondary" data-quote-action="email">${escape(i18n.t('quote.sendEmail'))}</button>
+                    <button type="button" class="btn btn-secondary" data-quote-action="back">${escape(i18n.t('quote.back'))}</button>
+                    <button type="button" class="consent-link" data-quote-action="restart">${escape(i18n.t('quote.restart'))}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Answers of one line item as readable text
+     * @param {Object} item - Line item from getEstimate()
+     * @returns {string} e.g. "Number of products: 50–500"
+     */
+    describeAnswers(item) {
+        return item.answers.map(({ question, option }) => (
+            `${i18n.t(`quote.questions.${question}.label`)}: ${i18n.t(`quote.questions.${question}.options.${option}`)}`
+        )).join('; ');
+    }
+
+    /**
+     * The estimate with every answer, as a message the team can act on
+     * @returns {string} Plain-text summary
+     */
+    getMessage() {
+        const estimate = this.getEstimate();
+        const lines = [i18n.t('quote.message.intro'), ''];
+
+        estimate.items.forEach(item => {
+            const answers = this.describeAnswers(item);
+            lines.push(`• ${this.getServiceTitle(item.service)}${answers ? ` (${answers})` : ''}`);
+        });
+
+        if (estimate.timeline) {
+            lines.push('', i18n.t('quote.message.timeline', {
+                timeline: i18n.t(`quote.timelines.${estimate.timeline.id}.label`)
+            }));
+        }
+
+        lines.push(i18n.t('quote.message.estimate', {
+            setup: this.formatPrice(estimate.setup),
+            monthly: this.formatPrice(estimate.monthly)
+        }));
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Hand the summary over to WhatsApp or email
+     * @param {string} channel - whatsapp or email
+     */
+    send(channel) {
+        const message = this.getMessage();
+        // One service can go to its specialist; a mix goes to whoever is next in line
+        const service = this.state.services.length === 1 ? this.state.services[0] : '';
+
+        analytics.track('quote_action', { action: `send_${channel}`, services: this.state.services.join(',') });
+
+        if (channel === 'whatsapp') {
+            clickToChat.open({ service, message, source: 'quote' });
+            return;
+        }
+
+        const url = clickToChat.getChannelURL('email', clickToChat.getAgent(service), message, {
+            subject: i18n.t('quote.message.subject')
+        });
+        if (url) {
+            window.location.href = url;
+        }
+    }
+
+}
+
+const quoteWizard = new QuoteWizard();
+
+/**
+ * Contact Outbox
+ * Delivers contact form messages: retries with backoff when the endpoint or network
+ * hiccups, and holds messages while the visitor is offline, sending them as soon as the
+ * connection comes back.
+ *
+ * Held messages only outlive the page (in localStorage) while preferences consent is
+ * granted, like the form's draft; otherwise they are kept in memory. Either way they are
+ * dropped once delivered, once the endpoint rejects them, or after `maxAge`.
+ */
+class ContactOutbox {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.storageKey='contactOutbox'] - localStorage key of queued messages
+     * @param {number} [options.maxRetries=3] - Retries per delivery attempt
+     * @param {number} [options.retryDelay=2000] - First retry delay in milliseconds, doubled each time
+     * @param {number} [options.maxAge=604800000] - Queued messages older than this (ms, default 7 days) are dropped
+     */
+    constructor({ storageKey = 'contactOutbox', maxRetries = 3, retryDelay = 2000, maxAge = 7 * 24 * 60 * 60 * 1000 } = {}) {
+        this.storageKey = storageKey;
+        this.maxRetries = maxRetries;
+        this.retryDelay = retryDelay;
+        this.maxAge = maxAge;
+        this.pending = [];
+        this.transport = null;
+        this.isFlushing = false;
+        this.abortController = null;
+    }
+
+    /**
+     * Replace how messages are delivered
+     * @param {{send: Function}|null} transport - Object whose send(message) returns a promise
+     */
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    /**
+     * Send anything left over from an earlier visit, and again whenever the connection returns
+     */
+    init() {
+        if (this.abortController) return;
+        this.abortController = new AbortController();
+
+        window.addEventListener('online', () => this.flush(), { signal: this.abortController.signal });
+        this.flush();
+    }
+
+    get isAvailable() {
+        return Boolean(this.transport);
+    }
+
+    /**
+     * Send a message, or queue it if there is no connection
+     * @param {Object} message - Message payload
+     * @returns {Promise<{status: string}>} "sent" or "queued"; rejects when the endpoint refuses it,
+     * or with code "unavailable" when there is nowhere to send it
+     */
+    submit(message) {
+        if (!this.isAvailable) {
+            const error = new Error('No contact endpoint is configured');
+            error.code = 'unavailable';
+            return Promise.reject(error);
+        }
+
+        if (!navigator.onLine) {
+            this.enqueue(message);
+            return Promise.resolve({ status: 'queued' });
+        }
+
+        return this.deliver(message)
+            .then(() => ({ status: 'sent' }))
+            .catch(error => {
+                // No HTTP status means the request never got an answer: keep it for later
+                if (!error.status) {
+                    this.enqueue(message);
+                    return { status: 'queued' };
+                }
+                throw error;
+            });
+    }
+
+    /**
+     * Send one message, retrying network failures and server errors
+     * @param {Object} message - Message payload
+     * @param {number} [attempt=0] - Retries made so far
+     * @returns {Promise<Object>} Transport response
+     */
+    deliver(message, attempt = 0) {
+        return Promise.resolve()
+            .then(() => this.transport.send(message))
+            .catch(error => {
+                if (this.isRejected(error) || attempt >= this.maxRetries || !navigator.onLine) {
+                    throw error;
+                }
+
+                return new Promise(resolve => setTimeout(resolve, this.retryDelay * 2 ** attempt))
+                    .then(() => this.deliver(message, attempt + 1));
+            });
+    }
+
+    /**
+     * Client errors will fail the same way every time, apart from timeouts and rate limits
+     * @param {Error} error - Delivery error
+     * @returns {boolean} True if the endpoint refused the message itself
+     */
+    isRejected(error) {
+        return error.status >= 400 && error.status < 500 && ![408, 429].includes(error.status);
+    }
+
+    /**
+     * Messages waiting to be sent, oldest first, without expired ones
+     * @returns {Object[]} Queued messages
+     */
+    getQueue() {
+        let stored = [];
+        if (consent.isGranted('preferences')) {
+            try {
+                const queue = JSON.parse(localStorage.getItem(this.storageKey));
+                stored = Array.isArray(queue) ? queue : [];
+            } catch (error) {
+                console.warn('Could not read the contact outbox:', error);
+            }
+        }
+
+        const byId = new Map([...stored, ...this.pending].map(message => [message.id, message]));
+        return [...byId.values()]
+            .filter(message => !this.isExpired(message))
+            .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+    }
+
+    setQueue(queue) {
+        this.pending = queue;
+        if (!consent.isGranted('preferences')) return;
+
+        try {
+            if (queue.length) {
+                localStorage.setItem(this.storageKey, JSON.stringify(queue));
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            console.warn('Could not save the contact outbox:', error);
+        }
+    }
+
+    /**
+     * @param {Object} message - Queued message
+     * @returns {boolean} True once the message is older than maxAge
+     */
+    isExpired(message) {
+        const createdAt = Date.parse(message.createdAt);
+        return !Number.isFinite(createdAt) || Date.now() - createdAt > this.maxAge;
+    }
+
+    enqueue(message) {
+        this.setQueue([...this.getQueue().filter(queued => queued.id !== message.id), message]);
+    }
+
+    /**
+     * Send queued messages one at a time, oldest first
+     * @returns {Promise<number>} Number of messages delivered
+     */
+    flush() {
+        if (this.isFlushing || !this.isAvailable || !navigator.onLine) {
+            return Promise.resolve(0);
+        }
+
+        // Writing the queue back also clears expired messages from storage
+        const queue = this.getQueue();
+        this.setQueue(queue);
+        if (!queue.length) {
+            return Promise.resolve(0);
+        }
+
+        this.isFlushing = true;
+        let delivered = 0;
+        let rejected = 0;
+
+        const sendNext = () => {
+            const [message] = this.getQueue();
+            if (!message) return undefined;
+
+            return this.deliver(message)
+                .then(() => {
+                    delivered++;
+                    analytics.track('contact_form', { status: 'sent_from_queue', service: message.service });
+                }, error => {
+                    if (!this.isRejected(error)) throw error;
+                    // Sending it again would only be refused again
+                    rejected++;
+                    console.warn('Contact outbox: The endpoint rejected a queued message:', error.message);
+                    analytics.track('contact_form', { status: 'rejected_from_queue', service: message.service });
+                })
+                .then(() => {
+                    this.setQueue(this.getQueue().filter(queued => queued.id !== message.id));
+                    return sendNext();
+                });
+        };
+
+        return sendNext()
+            .catch(error => {
+                console.warn('Contact outbox: Delivery failed, will retry later:', error);
+            })
+            .then(() => {
+                this.isFlushing = false;
+                if (delivered) {
+                    notifications.show(i18n.t('contactForm.status.queueSent', { count: delivered }), { type: 'success' });
+                }
+                if (rejected) {
+                    notifications.show(i18n.t('contactForm.status.queueFailed', { count: rejected }), { type: 'error', duration: 0 });
+                }
+                return delivered;
+            });
+    }
+
+    destroy() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+    }
+}
+
+const contactOutbox = new ContactOutbox();
+
+/**
+ * Section Navigator
+ * Scroll-spy for the page's sections: works out which one is being read, keeps the URL
+ * hash in step with it, and scrolls to sections for in-page links and back/forward.
+ *
+ * Following a link adds a history entry; scrolling past sections only replaces the
+ * current one. Changes are announced with a `section:change` event on document whose
+ * detail is { id }, null while above the first section or between tracked ones.
+ *
+ * Hashes that don't name a section (#service/seo, #faq-results) are left to the
+ * controllers that own them.
+ */
+class SectionNavigator {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.selector='section[id]'] - Sections to track
+     * @param {number} [options.offset=20] - Gap left between the header and a section scrolled to
+     * @param {number} [options.maxScrollTime=1500] - Longest wait, in ms, for a smooth scroll to settle
+     */
+    constructor({ selector = 'section[id]', offset = 20, maxScrollTime = 1500 } = {}) {
+        this.selector = selector;
+        this.offset = offset;
+        this.maxScrollTime = maxScrollTime;
+        this.sections = [];
+        this.visible = new Set();
+        this.current = null;
+        this.isScrolling = false;
+        this.navigationId = 0;
+        this.observer = null;
+        this.abortController = null;
+    }
+
+    init() {
+        if (this.abortController) return;
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+
+        this.sections = [...document.querySelectorAll(this.selector)];
+
+        document.addEventListener('click', (e) => this.handleClick(e), { signal });
+        window.addEventListener('popstate', (e) => this.handlePopState(e), { signal });
+
+        // Reloads and return visits get the browser's own scroll restoration back, and a page
+        // restored from the back/forward cache takes over its own entries again
+        window.addEventListener('pagehide', () => this.setScrollRestoration('auto'), { signal });
+        window.addEventListener('pageshow', (e) => {
+            if (e.persisted && history.state && (history.state.section || 'scrollY' in history.state)) {
+                this.setScrollRestoration('manual');
+            }
+        }, { signal });
+
+        if ('IntersectionObserver' in window) {
+            // A section counts as being read while it crosses the band between the header and mid-screen
+            this.observer = new IntersectionObserver(entries => this.handleIntersections(entries), {
+                rootMargin: `-${this.getHeaderHeight()}px 0px -50% 0px`
+            });
+            this.sections.forEach(section => this.observer.observe(section));
+        }
+
+        const initial = this.getSection(window.location.hash.slice(1));
+        if (initial) {
+            this.setCurrent(initial.id, { updateURL: false });
+        }
+    }
+
+    /**
+     * Tracked section with a given id
+     * @param {string} id - Section id, without "#"
+     * @returns {HTMLElement|undefined} Section element
+     */
+    getSection(id) {
+        if (!id) return undefined;
+
+        let decoded = id;
+        try {
+            decoded = decodeURIComponent(id);
+        } catch (error) {
+            // Keep the raw value; it just won't match anything
+        }
+        return this.sections.find(section => section.id === decoded);
+    }
+
+    getHeaderHeight() {
+        const header = document.querySelector('.header');
+        return header ? header.offsetHeight : 0;
+    }
+
+    /**
+     * Pick the first section, in page order, that is inside the reading band
+     * @param {IntersectionObserverEntry[]} entries - Changed sections
+     */
+    handleIntersections(entries) {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                this.visible.add(entry.target);
+            } else {
+                this.visible.delete(entry.target);
+            }
+        });
+
+        // Sections flashing past during a smooth scroll aren't being read
+        if (this.isScrolling) return;
+
+        const section = this.sections.find(item => this.visible.has(item));
+        this.setCurrent(section ? section.id : null);
+    }
+
+    /**
+     * Make a section current and tell everyone who highlights it
+     * @param {string|null} id - Section id, or null for none
+     * @param {Object} [options]
+     * @param {boolean} [options.updateURL=true] - Replace the hash of the current history entry
+     */
+    setCurrent(id, { updateURL = true } = {}) {
+        if (id === this.current) return;
+        this.current = id;
+
+        if (updateURL) {
+            this.replaceHash(id ? `#${id}` : '');
+        }
+
+        document.dispatchEvent(new CustomEvent('section:change', { detail: { id } }));
+    }
+
+    /**
+     * Update the URL hash without adding a history entry, unless another controller owns the hash
+     * @param {string} hash - New hash including the leading "#", or "" to clear it
+     */
+    replaceHash(hash) {
+        const currentHash = window.location.hash.slice(1);
+        if (currentHash && !this.getSection(currentHash)) return;
+
+        const url = `${window.location.pathname}${window.location.search}${hash}`;
+        if (window.location.hash !== hash) {
+            history.replaceState(history.state, '', url);
+        }
+    }
+
+    /**
+     * Take over plain clicks on links to tracked sections
+     * @param {MouseEvent} e - Click event
+     */
+    handleClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target.closest('a[href^="#"]');
+        const section = link && this.getSection(link.getAttribute('href').slice(1));
+        if (!section) return;
+
+        e.preventDefault();
+        this.navigate(section.id);
+    }
+
+    /**
+     * Go to a section, adding a history entry for it
+     * @param {string} id - Section id
+     */
+    navigate(id) {
+        const section = this.getSection(id);
+        if (!section) return;
+
+        if (window.location.hash !== `#${section.id}`) {
+            // Remember where we were so Back returns to the same spot. Back/forward between these
+            // two entries is animated by handlePopState(), so the browser mustn't jump them as well;
+            // the pushed entry inherits the mode from the current one.
+            history.replaceState({ ...history.state, scrollY: window.scrollY }, '', window.location.href);
+            this.setScrollRestoration('manual');
+            history.pushState({ section: section.id }, '', `${window.location.pathname}${window.location.search}#${section.id}`);
+        }
+
+        this.scrollTo(section);
+    }
+
+    /**
+     * Set the scroll restoration mode; browsers keep it per history entry, so only the
+     * current one is affected
+     * @param {string} mode - "auto" or "manual"
+     */
+    setScrollRestoration(mode) {
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = mode;
+        }
+    }
+
+    /**
+     * Follow back/forward between entries: to the saved position if there is one, otherwise to the hash
+     * @param {PopStateEvent} e - History event
+     */
+    handlePopState(e) {
+        const section = this.getSection(window.location.hash.slice(1));
+        const scrollY = e.state && typeof e.state.scrollY === 'number' ? e.state.scrollY : null;
+
+        if (scrollY !== null) {
+            this.scrollTo(null, { top: scrollY, focus: false });
+        } else if (section) {
+            this.scrollTo(section);
+        } else if (!window.location.hash) {
+            this.scrollTo(null, { top: 0, focus: false });
+        }
+    }
+
+    /**
+     * Smooth-scroll to a section (or position), then move focus to the section heading
+     * @param {HTMLElement|null} section - Section to show
+     * @param {Object} [options]
+     * @param {number} [options.top] - Scroll position to use instead of the section's
+     * @param {boolean} [options.focus=true] - Focus the section heading once the scroll settles
+     * @returns {Promise<void>} Resolves once the scroll has settled
+     */
+    scrollTo(section, { top, focus = true } = {}) {
+        const navigation = ++this.navigationId;
+        const targetTop = top !== undefined
+            ? top
+            : section.getBoundingClientRect().top + window.scrollY - this.getHeaderHeight() - this.offset;
+        const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+        this.isScrolling = true;
+        window.scrollTo({ top: Math.max(0, targetTop), behavior: reduceMotion ? 'auto' : 'smooth' });
+
+        return this.waitForScrollEnd().then(() => {
+            // A newer navigation has taken over
+            if (navigation !== this.navigationId) return;
+
+            this.isScrolling = false;
+            if (section) {
+                this.setCurrent(section.id, { updateURL: false });
+                if (focus) {
+                    this.focusHeading(section);
+                }
+            } else {
+                const visibleSection = this.sections.find(item => this.visible.has(item));
+                this.setCurrent(visibleSection ? visibleSection.id : null, { updateURL: false });
+            }
+        });
+    }
+
+    /**
+     * Resolve once scrolling has been idle briefly, or after maxScrollTime at the latest
+     * @returns {Promise<void>}
+     */
+    waitForScrollEnd() {
+        return new Promise(resolve => {
+            let idleTimer = null;
+            let limitTimer = null;
+
+            const onScroll = () => {
+                clearTimeout(idleTimer);
+                idleTimer = setTimeout(done, 150);
+            };
+            const done = () => {
+                clearTimeout(idleTimer);
+                clearTimeout(limitTimer);
+                window.removeEventListener('scroll', onScroll);
+                resolve();
+            };
+
+            window.addEventListener('scroll', onScroll, { passive: true });
+            idleTimer = setTimeout(done, 150);
+            limitTimer = setTimeout(done, this.maxScrollTime);
+        });
+    }
+
+    /**
+     * Move focus to a section's heading so keyboard and screen reader users continue from there
+     * @param {HTMLElement} section - Section element
+     */
+    focusHeading(section) {
+        const heading = section.querySelector('h1, h2, h3') || section;
+        if (!heading.hasAttribute('tabindex')) {
+            heading.setAttribute('tabindex', '-1');
+        }
+        heading.focus({ preventScroll: true });
+    }
+
+    destroy() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+        this.visible.clear();
+    }
+}
+
+const sectionNavigator = new SectionNavigator();
+
+/**
+ * Services Section Controller
+ * Renders the service cards from the catalogue and handles their interactions, tilt effects, and animations
+ *
+ * The catalogue (data-services-src, default data/services.json) lists each service's
+ * id, i18nKey, icon (inner SVG markup) and tags. Copy lives in the locale bundles under
+ * the i18nKey: title, description, features[], cta, ctaLabel and whatsappMessage.
+ */
+class ServicesController {
+    /**
+     * @param {HTMLElement|string} [root='.services'] Services section element or selector.
+     */
+    constructor(root = '.services') {
+        this.servicesSection = typeof root === 'string' ? document.querySelector(root) : root;
+        this.grid = this.servicesSection && this.servicesSection.querySelector('.services-grid');
+        this.services = [];
+        this.serviceCards = [];
+        this.dialog = null;
+        this.abortController = new AbortController();
+        this.observer = null;
+        
+        this.init();
+    }
+
+    /**
+     * Initialize services section functionality
+     */
+    init() {
+        if (!this.servicesSection || !this.grid) {
+            console.warn('Services controller: No services grid found.');
+            return;
+        }
+
+        const catalogueURL = this.servicesSection.dataset.servicesSrc || 'data/services.json';
+
+        this.loadCatalogue(catalogueURL)
+            .then(services => {
+                // The section may have been torn down while the catalogue loaded
+                if (this.abortController.signal.aborted) return;
+
+                this.renderCards(services);
+                this.setupCardInteractions();
+                this.setupTiltEffects();
+                this.setupScrollAnimations();
+                this.setupKeyboardNavigation();
+                this.setupDetailDialog();
+                
+                console.log('Services controller initialized successfully');
+            })
+            .catch(error => {
+                console.error('Services controller: Could not load the service catalogue:', error);
+                this.renderError();
+            });
+    }
+
+    /**
+     * Fetch the service catalogue along with the default copy it refers to
+     * @param {string} url - Catalogue URL
+     * @returns {Promise<Object[]>} Service definitions in display order
+     */
+    loadCatalogue(url) {
+        return Promise.all([
+            fetch(url).then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            }),
+            i18n.loadBundle(i18n.defaultLanguage)
+        ]).then(([catalogue]) => (Array.isArray(catalogue.services) ? catalogue.services : []));
+    }
+
+    /**
+     * Replace the grid's contents with one card per service
+     * @param {Object[]} services - Service definitions
+     */
+    renderCards(services) {
+        this.services = services;
+        this.grid.innerHTML = '';
+        services.forEach(service => this.grid.appendChild(this.createCard(service)));
+
+        i18n.translatePage(this.grid);
+        this.grid.removeAttribute('aria-busy');
+        this.serviceCards = this.grid.querySelectorAll('.service-card');
+    }
+
+    /**
+     * Build the markup for one service card; text is filled in by the i18n data attributes
+     * @param {Object} service - Service definition
+     * @returns {HTMLElement} Service card
+     */
+    createCard(service) {
+        const key = service.i18nKey;
+        const features = i18n.lookup(`${key}.features`);
+        const featureCount = Array.isArray(features) ? features.length : 0;
+
+        const card = document.createElement('article');
+        card.className = 'service-card';
+        card.id = `service-${service.id}`;
+        card.dataset.tilt = '';
+        card.dataset.serviceId = service.id;
+        card.dataset.tags = (service.tags || []).join(' ');
+
+        card.innerHTML = `
+            <div class="card-icon" aria-hidden="true">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${service.icon || ''}</svg>
+            </div>
+            <h3 class="card-title" data-i18n="${key}.title"></h3>
+            <p class="card-description" data-i18n="${key}.description"></p>
+            <ul class="card-features">
+                ${Array.from({ length: featureCount }, (_, i) => `<li data-i18n="${key}.features.${i}"></li>`).join('')}
+            </ul>
+            <button type="button" class="card-cta" data-i18n="${key}.cta" data-i18n-attr="aria-label:${key}.ctaLabel"></button>
+        `;
+
+        return card;
+    }
+
+    /**
+     * Tell visitors the services could not be shown
+     */
+    renderError() {
+        const message = document.createElement('p');
+        message.className = 'services-error';
+        message.dataset.i18n = 'services.loadError';
+        message.textContent = i18n.t('services.loadError', {
+            defaultValue: 'Our services could not be loaded. Please refresh the page or message us on WhatsApp.'
+        });
+
+        this.grid.innerHTML = '';
+        this.grid.appendChild(message);
+        this.grid.removeAttribute('aria-busy');
+    }
+
+    /**
+     * Find the catalogue entry behind a rendered card
+     * @param {HTMLElement} card - Service card
+     * @returns {Object|undefined} Service definition
+     */
+    getService(card) {
+        return this.services.find(service => service.id === card.dataset.serviceId);
+    }
+
+    /**
+     * Set up service card click interactions
+     */
+    setupCardInteractions() {
+        const { signal } = this.abortController;
+
+        this.serviceCards.forEach((card, index) => {
+            card.addEventListener('click', (e) => {
+                // Don't trigger card click if CTA button was clicked
+                if (!e.target.classList.contains('card-cta')) {
+                    this.handleCardClick(card, index);
+                }
+            }, { signal });
+        });
+        
+        // Handle CTA button clicks separately
+        this.getCTAButtons().forEach((button, index) => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.handleCTAClick(button, index);
+            }, { signal });
+        });
+    }
+
+    /**
+     * Set up hover tilt effects for service cards
+     */
+    setupTiltEffects() {
+        const { signal } = this.abortController;
+
+        this.serviceCards.forEach(card => {
+            if (!card.hasAttribute('data-tilt')) return;
+            
+            card.addEventListener('mouseenter', () => {
+                card.style.transition = 'transform 0.1s ease-out';
+            }, { signal });
+            
+            card.addEventListener('mousemove', (e) => {
+                if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) return;
+                this.applyTiltEffect(card, e);
+            }, { signal });
+            
+            card.addEventListener('mouseleave', () => {
+                this.resetTilt(card);
+            }, { signal });
+        });
+    }
+
+    /**
+     * Apply tilt effect based on mouse position
+     * @param {HTMLElement} card - Service card element
+     * @param {MouseEvent} e - Mouse event
+     */
+    applyTiltEffect(card, e) {
+        const rect = card.getBoundingClientRect();
+        const centerX = rect.left + rect.width / 2;
+        const centerY = rect.top + rect.height / 2;
+        
+        const mouseX = e.clientX - centerX;
+        const mouseY = e.clientY - centerY;
+        
+        // Limit tilt to 6-8 degrees as specified
+        const maxTilt = 7;
+        const tiltX = (mouseY / (rect.height / 2)) * maxTilt;
+        const tiltY = (mouseX / (rect.width / 2)) * maxTilt;
+        
+        // Clamp values
+        const clampedTiltX = Math.max(-maxTilt, Math.min(maxTilt, -tiltX));
+        const clampedTiltY = Math.max(-maxTilt, Math.min(maxTilt, tiltY));
+
+        // Mirror the horizontal axis for right-to-left layouts
+        const directionY = isRTL(card) ? -1 : 1;
+        
+        card.style.transform = `perspective(1000px) rotateX(${clampedTiltX}deg) rotateY(${clampedTiltY * directionY}deg) translateY(-8px) scale(1.02)`;
+    }
+
+    /**
+     * Reset tilt effect to normal state
+     * @param {HTMLElement} card - Service card element
+     */
+    resetTilt(card) {
+        card.style.transition = 'transform 0.3s cubic-bezier(0.4, 0, 0.2, 1)';
+        card.style.transform = '';
+    }
+
+    /**
+     * Set up scroll animations with staggered reveal
+     */
+    setupScrollAnimations() {
+        if ('IntersectionObserver' in window) {
+            const observer = new IntersectionObserver((entries) => {
+                entries.forEach((entry, index) => {
+                    if (entry.isIntersecting) {
+                        // Staggered animation delay
+                        setTimeout(() => {
+                            entry.target.classList.add('animate-in');
+                        }, index * 100);
+                    }
+                });
+            }, {
+                threshold: 0.2,
+                rootMargin: '0px 0px -50px 0px'
+            });
+
+            // Observe service cards
+            this.serviceCards.forEach(card => {
+                observer.observe(card);
+            });
+            
+            // Observe services header
+            const servicesHeader = this.servicesSection.querySelector('.services-header');
+            if (servicesHeader) {
+                observer.observe(servicesHeader);
+            }
+
+            this.observer = observer;
+        }
+    }
+
+    /**
+     * Set up keyboard navigation for service cards
+     */
+    setupKeyboardNavigation() {
+        const { signal } = this.abortController;
+
+        this.serviceCards.forEach((card, index) => {
+            // Make cards focusable
+            card.setAttribute('tabindex', '0');
+            
+            card.addEventListener('keydown', (e) => {
+                // Keys pressed on the CTA or other controls inside the card belong to them
+                if (e.target !== card) return;
+
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.handleCardClick(card, index);
+                }
+                
+                // Arrow key navigation follows the reading direction
+                const forwardKey = isRTL(card) ? 'ArrowLeft' : 'ArrowRight';
+                const backwardKey = isRTL(card) ? 'ArrowRight' : 'ArrowLeft';
+
+                if (e.key === forwardKey || e.key === 'ArrowDown') {
+                    e.preventDefault();
+                    this.focusNextCard(index);
+                }
+                
+                if (e.key === backwardKey || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    this.focusPreviousCard(index);
+                }
+            }, { signal });
+        });
+        
+        // Setup keyboard navigation for CTA buttons
+        this.getCTAButtons().forEach((button, index) => {
+            button.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.handleCTAClick(button, index);
+                }
+            }, { signal });
+        });
+    }
+
+    /**
+     * Get the CTA buttons inside the service cards
+     * @returns {NodeList} CTA buttons
+     */
+    getCTAButtons() {
+        return this.servicesSection.querySelectorAll('.card-cta');
+    }
+
+    /**
+     * Set up the detail dialog and its #service/<id> deep links
+     */
+    setupDetailDialog() {
+        this.dialog = new ServiceDialog({
+            onAction: (service, button) => this.startService(service, button.textContent.trim()),
+            onClose: (service) => {
+                if (window.location.hash === `#service/${service.id}`) {
+                    this.replaceHash('');
+                }
+            }
+        });
+
+        window.addEventListener('hashchange', () => this.openFromHash(), {
+            signal: this.abortController.signal
+        });
+        this.openFromHash();
+    }
+
+    /**
+     * Open the dialog for a service and reflect it in the URL hash
+     * @param {Object} service - Service definition
+     * @param {HTMLElement} [card] - Card to return focus to on close
+     */
+    openDetails(service, card) {
+        this.dialog.open(service, { returnFocus: card });
+        this.replaceHash(`#service/${service.id}`);
+    }
+
+    /**
+     * Open or close the dialog to match a `#service/<id>` hash
+     */
+    openFromHash() {
+        const match = window.location.hash.match(/^#service\/([\w-]+)$/);
+        const service = match && this.services.find(item => item.id === match[1]);
+
+        if (service) {
+            const card = this.grid.querySelector(`[data-service-id="${service.id}"]`);
+            analytics.track('service_view', { service: service.id, source: 'link' });
+            this.dialog.open(service, { returnFocus: card });
+        } else if (this.dialog.isOpen) {
+            this.dialog.close();
+        }
+    }
+
+    /**
+     * Update the URL hash without adding a history entry or jumping the page
+     * @param {string} hash - New hash including the leading "#", or "" to clear it
+     */
+    replaceHash(hash) {
+        const url = `${window.location.pathname}${window.location.search}${hash}`;
+        history.replaceState(history.state, '', url);
+    }
+
+    /**
+     * Handle service card click/activation
+     * @param {HTMLElement} card - Clicked card
+     * @param {number} index - Card index
+     */
+    handleCardClick(card, index) {
+        const service = this.getService(card);
+        
+        // Add active class for visual feedback
+        card.classList.add('active');
+        
+        setTimeout(() => {
+            card.classList.remove('active');
+        }, 200);
+        
+        if (service) {
+            analytics.track('service_view', { service: service.id, source: 'card' });
+            this.openDetails(service, card);
+        }
+    }
+
+    /**
+     * Handle CTA button click
+     * @param {HTMLElement} button - Clicked CTA button
+     * @param {number} index - Button index
+     */
+    handleCTAClick(button, index) {
+        const card = button.closest('.service-card');
+        const service = this.getService(card);
+        
+        // Add active class for visual feedback
+        button.classList.add('active');
+        card.classList.add('active');
+        
+        setTimeout(() => {
+            button.classList.remove('active');
+            card.classList.remove('active');
+        }, 200);
+        
+        if (service) {
+            this.startService(service, button.textContent.trim());
+        }
+    }
+
+    /**
+     * Start a conversation about a service (card and dialog CTAs)
+     * @param {Object} service - Service definition
+     * @param {string} ctaText - Text of the CTA that was used
+     */
+    startService(service, ctaText) {
+        const title = i18n.t(`${service.i18nKey}.title`);
+
+        analytics.track('service_cta_click', { service: service.id, label: ctaText });
+
+        clickToChat.open({
+            service: service.id,
+            serviceName: title,
+            message: i18n.t(`${service.i18nKey}.whatsappMessage`, { defaultValue: '' }),
+            source: 'service'
+        });
+    }
+
+    /**
+     * Focus next service card
+     * @param {number} currentIndex - Current card index
+     */
+    focusNextCard(currentIndex) {
+        const nextIndex = (currentIndex + 1) % this.serviceCards.length;
+        this.serviceCards[nextIndex].focus();
+    }
+
+    /**
+     * Focus previous service card
+     * @param {number} currentIndex - Current card index
+     */
+    focusPreviousCard(currentIndex) {
+        const prevIndex = currentIndex === 0 ? this.serviceCards.length - 1 : currentIndex - 1;
+        this.serviceCards[prevIndex].focus();
+    }
+
+    /**
+     * Remove listeners and observers and reset any tilted card
+     */
+    destroy() {
+        this.abortController.abort();
+
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+
+        if (this.dialog) {
+            this.dialog.destroy();
+            this.dialog = null;
+        }
+
+        this.serviceCards.forEach(card => {
+            card.style.transition = '';
+            card.style.transform = '';
+        });
+    }
+}
+
+/**
+ * Service Detail Dialog
+ * Modal panel with a service's deliverables, process, FAQs and call to action.
+ */
+class ServiceDialog {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.onAction] - Called with (service, button) when the dialog's CTA is used
+     * @param {Function} [options.onClose] - Called with the service once the dialog closes
+     */
+    constructor({ onAction = () => {}, onClose = () => {} } = {}) {
+        this.onAction = onAction;
+        this.onClose = onClose;
+        this.service = null;
+        this.abortController = new AbortController();
+
+        this.build();
+    }
+
+    /**
+     * Whether the dialog is showing
+     * @returns {boolean} True when open
+     */
+    get isOpen() {
+        return this.modal.isOpen;
+    }
+
+    /**
+     * Create the dialog shell; its content is rendered on open
+     */
+    build() {
+        const { signal } = this.abortController;
+
+        this.modal = new Modal({
+            labelledBy: 'service-dialog-title',
+            describedBy: 'service-dialog-description',
+            onDismiss: () => this.close()
+        });
+        this.dialog = this.modal.dialog;
+
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target.closest('.service-dialog-close')) {
+                this.close();
+            }
+            const cta = e.target.closest('.service-dialog-cta');
+            if (cta) {
+                this.onAction(this.service, cta);
+            }
+        }, { signal });
+
+        // Keep open content in the current language
+        document.addEventListener('language:change', () => {
+            if (this.isOpen) {
+                this.render();
+            }
+        }, { signal });
+    }
+
+    /**
+     * Show a service's details
+     * @param {Object} service - Service definition from the catalogue
+     * @param {Object} [options]
+     * @param {HTMLElement} [options.returnFocus] - Element to focus on close (defaults to the active element)
+     */
+    open(service, { returnFocus = document.activeElement } = {}) {
+        this.service = service;
+        this.render();
+
+        this.dialog.scrollTop = 0;
+        this.modal.open({ returnFocus });
+    }
+
+    /**
+     * Hide the dialog and return focus to where it was opened from
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        const service = this.service;
+        this.modal.close();
+
+        this.onClose(service);
+    }
+
+    /**
+     * Fill the dialog with the current service's copy
+     */
+    render() {
+        const key = this.service.i18nKey;
+        const escape = value => i18n.escapeHTML(String(value));
+        const list = value => (Array.isArray(value) ? value : []);
+
+        const deliverables = list(i18n.lookup(`${key}.details.deliverables`));
+        const process = list(i18n.lookup(`${key}.details.process`));
+        const faqs = list(i18n.lookup(`${key}.details.faqs`));
+
+        this.dialog.innerHTML = `
+            <button type="button" class="service-dialog-close" aria-label="${escape(i18n.t('services.dialog.close', { defaultValue: 'Close service details' }))}">
+                <span aria-hidden="true">&times;</span>
+            </button>
+            <header class="service-dialog-header">
+                <div class="card-icon" aria-hidden="true">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${this.service.icon || ''}</svg>
+                </div>
+                <h2 class="service-dialog-title" id="service-dialog-title">${escape(i18n.t(`${key}.title`))}</h2>
+                <p class="service-dialog-description" id="service-dialog-description">${escape(i18n.t(`${key}.description`))}</p>
+            </header>
+            ${deliverables.length ? `
+            <section class="service-dialog-section">
+                <h3>${escape(i18n.t('services.dialog.deliverables', { defaultValue: "What's included" }))}</h3>
+                <ul class="service-dialog-deliverables">
+                    ${deliverables.map(item => `<li>${escape(item)}</li>`).join('')}
+                </ul>
+            </section>` : ''}
+            ${process.length ? `
+            <section class="service-dialog-section">
+                <h3>${escape(i18n.t('services.dialog.process', { defaultValue: 'How it works' }))}</h3>
+                <ol class="service-dialog-process">
+                    ${process.map(step => `<li>${escape(step)}</li>`).join('')}
+                </ol>
+            </section>` : ''}
+            ${faqs.length ? `
+            <section class="service-dialog-section">
+                <h3>${escape(i18n.t('services.dialog.faqs', { defaultValue: 'Frequently asked questions' }))}</h3>
+                <dl class="service-dialog-faqs">
+                    ${faqs.map(faq => `<dt>${escape(faq.question)}</dt><dd>${escape(faq.answer)}</dd>`).join('')}
+                </dl>
+            </section>` : ''}
+            <button type="button" class="card-cta service-dialog-cta" aria-label="${escape(i18n.t(`${key}.ctaLabel`))}">
+                ${escape(i18n.t(`${key}.cta`))}
+            </button>
+        `;
+    }
+
+    /**
+     * Remove the dialog and its listeners
+     */
+    destroy() {
+        this.abortController.abort();
+        this.modal.destroy();
+    }
+}
+
+/**
+ * Hero Section Controller
+ * Handles hero section interactions and accessibility
+ */
+class HeroController {
+    /**
+     * @param {HTMLElement|string} [root='.hero'] Hero section element or selector.
+     */
+    constructor(root = '.hero') {
+        this.heroSection = typeof root === 'string' ? document.querySelector(root) : root;
+        this.primaryBtn = this.heroSection && this.heroSection.querySelector('.btn-primary');
+        this.secondaryBtn = this.heroSection && this.heroSection.querySelector('.btn-secondary');
+        this.abortController = new AbortController();
+        this.observer = null;
+        
+        this.init();
+    }
+
+    /**
+     * Initialize hero section functionality
+     */
+    init() {
+        if (!this.heroSection) {
+            console.warn('Hero controller: No hero section found.');
+            return;
+        }
+
+        this.setupButtonInteractions();
+        this.setupKeyboardNavigation();
+        this.setupScrollAnimations();
+        
+        console.log('Hero controller initialized successfully');
+    }
+
+    /**
+     * Set up button click and interaction handlers
+     */
+    setupButtonInteractions() {
+        const { signal } = this.abortController;
+
+        // Primary button (free consultation) click handler
+        if (this.primaryBtn) {
+            this.primaryBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleConsultationClick();
+            }, { signal });
+        }
+
+        // Secondary button (Contact Us) click handler
+        if (this.secondaryBtn) {
+            this.secondaryBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleContactClick();
+            }, { signal });
+        }
+
+        // Add ripple effect to buttons
+        this.heroSection.querySelectorAll('.btn').forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.createRippleEffect(e, button);
+            }, { signal });
+        });
+    }
+
+    /**
+     * Set up keyboard navigation for buttons
+     */
+    setupKeyboardNavigation() {
+        const { signal } = this.abortController;
+
+        this.heroSection.querySelectorAll('.btn').forEach(button => {
+            button.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    button.click();
+                }
+            }, { signal });
+        });
+    }
+
+    /**
+     * Set up scroll animations for hero section
+     */
+    setupScrollAnimations() {
+        if ('IntersectionObserver' in window) {
+            const observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        entry.target.classList.add('animate-in');
+                    }
+                });
+            }, {
+                threshold: 0.2,
+                rootMargin: '0px 0px -50px 0px'
+            });
+
+            // Observe hero content elements
+            const heroElements = this.heroSection.querySelectorAll(
+                '.hero-heading, .hero-subheading, .hero-description, .hero-buttons, .hero-image'
+            );
+            heroElements.forEach(el => observer.observe(el));
+
+            this.observer = observer;
+        }
+    }
+
+    /**
+     * Handle Get a Free Consultation button click
+     */
+    handleConsultationClick() {
+        analytics.track('cta_click', { label: 'consultation', location: 'hero' });
+
+        booking.open();
+    }
+
+    /**
+     * Handle Contact Us button click
+     */
+    handleContactClick() {
+        analytics.track('cta_click', { label: 'contact', location: 'hero' });
+
+        scrollToContact();
+
+        // Start typing straight away; preventScroll leaves the smooth scroll to finish undisturbed
+        const firstField = document.querySelector('.contact-form input:not([tabindex="-1"])');
+        if (firstField) {
+            firstField.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Create ripple effect on button click
+     * @param {Event} e - Click event
+     * @param {HTMLElement} button - Button element
+     */
+    createRippleEffect(e, button) {
+        const rect = button.getBoundingClientRect();
+        const size = Math.max(rect.width, rect.height);
+        const x = e.clientX - rect.left - size / 2;
+        const y = e.clientY - rect.top - size / 2;
+        
+        const ripple = document.createElement('span');
+        ripple.style.cssText = `
+            position: absolute;
+            width: ${size}px;
+            height: ${size}px;
+            left: ${x}px;
+            top: ${y}px;
+            background: var(--ripple-color);
+            border-radius: 50%;
+            transform: scale(0);
+            animation: ripple 0.6s ease-out;
+            pointer-events: none;
+        `;
+        
+        // Add ripple animation keyframes if not already added
+        if (!document.querySelector('#ripple-styles')) {
+            const style = document.createElement('style');
+            style.id = 'ripple-styles';
+            style.textContent = `
+                @keyframes ripple {
+                    to {
+                        transform: scale(2);
+                        opacity: 0;
+                    }
+                }
+            `;
+            document.head.appendChild(style);
+        }
+        
+        button.appendChild(ripple);
+        
+        // Remove ripple after animation
+        setTimeout(() => {
+            ripple.remove();
+        }, 600);
+    }
+
+    /**
+     * Remove listeners and observers
+     */
+    destroy() {
+        this.abortController.abort();
+
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+    }
+}
+
+/**
+ * Main Header Controller Class
+ * Manages all header functionality including navigation, language switching, and mobile menu
+ */
+class HeaderController {
+    /**
+     * @param {HTMLElement|string} [root='.header'] Header element or selector.
+     */
+    constructor(root = '.header') {
+        this.header = typeof root === 'string' ? document.querySelector(root) : root;
+
+        // DOM element references
+        const scope = this.header || document;
+        this.mobileToggle = scope.querySelector('#mobile-toggle');
+        this.nav = scope.querySelector('.nav');
+        this.languageBtn = scope.querySelector('#language-toggle');
+        this.languageDropdown = scope.querySelector('#language-dropdown');
+        this.languageOptions = scope.querySelectorAll('.language-option');
+        this.currentLanguageSpan = scope.querySelector('#current-language');
+        this.navLinks = scope.querySelectorAll('.nav-link');
+        
+        // State management
+        this.isLanguageDropdownOpen = false;
+        this.isMobileMenuOpen = false;
+        this.currentLanguage = 'en';
+
+        // Aborting this removes every listener the controller added
+        this.abortController = new AbortController();
+        
+        // Initialize the controller
+        this.init();
+    }
+
+    /**
+     * Initialize all functionality
+     */
+    init() {
+        this.setupEventListeners();
+        this.loadInitialLanguage();
+        this.setupKeyboardNavigation();
+        this.setupActiveLinks();
+        this.setupAccessibility();
+        
+        console.log('Header controller initialized successfully');
+    }
+
+    /**
+     * Set up all event listeners for user interactions
+     */
+    setupEventListeners() {
+        const { signal } = this.abortController;
+
+        // Mobile menu toggle
+        if (this.mobileToggle) {
+            this.mobileToggle.addEventListener('click', () => this.toggleMobileMenu(), { signal });
+        }
+
+        // Language switcher button
+        if (this.languageBtn) {
+            this.languageBtn.addEventListener('click', () => this.toggleLanguageDropdown(), { signal });
+        }
+        
+        // Language option selection
+        this.languageOptions.forEach(option => {
+            option.addEventListener('click', (e) => {
+                // Let modified clicks open the localized URL in a new tab or window
+                if (e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+
+                e.preventDefault();
+                this.changeLanguage(option.dataset.lang);
+
+                // Close mobile menu if open
+                if (this.isMobileMenuOpen) {
+                    this.toggleMobileMenu();
+                }
+            }, { signal });
+        });
+
+        // Close dropdowns when clicking outside
+        document.addEventListener('click', (e) => this.handleOutsideClick(e), { signal });
+
+        // Handle window resize
+        this.debouncedResize = this.debounce(() => this.handleResize(), 250);
+        window.addEventListener('resize', this.debouncedResize, { signal });
+
+        // Escape key handler for accessibility
+        document.addEventListener('keydown', (e) => this.handleEscapeKey(e), { signal });
+
+        // Prevent body scroll when mobile menu is open
+        document.addEventListener('touchmove', (e) => {
+            if (this.isMobileMenuOpen) {
+                e.preventDefault();
+            }
+        }, { passive: false, signal });
+    }
+
+    /**
+     * Set up keyboard navigation for accessibility
+     */
+    setupKeyboardNavigation() {
+        const { signal } = this.abortController;
+
+        // Language button keyboard navigation
+        if (this.languageBtn) {
+            this.languageBtn.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.toggleLanguageDropdown();
+                }
+                // Arrow down to open dropdown and focus first option
+                if (e.key === 'ArrowDown') {
+                    e.preventDefault();
+                    if (!this.isLanguageDropdownOpen) {
+                        this.toggleLanguageDropdown();
+                    }
+                    this.focusFirstLanguageOption();
+                }
+            }, { signal });
+        }
+
+        // Language options keyboard navigation
+        this.languageOptions.forEach((option, index) => {
+            option.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.changeLanguage(option.dataset.lang);
+                }
+                // Arrow navigation within dropdown
+                if (e.key === 'ArrowDown') {
+                    e.preventDefault();
+                    this.focusNextLanguageOption(index);
+                }
+                if (e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    this.focusPreviousLanguageOption(index);
+                }
+                // Tab to close dropdown
+                if (e.key === 'Tab' && !e.shiftKey) {
+                    this.closeLanguageDropdown();
+                }
+            }, { signal });
+        });
+
+        // Mobile toggle keyboard navigation
+        if (this.mobileToggle) {
+            this.mobileToggle.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.toggleMobileMenu();
+                }
+            }, { signal });
+        }
+    }
+
+    /**
+     * Set up active link highlighting functionality
+     * The scroll-spy (sectionNavigator) decides which link is active; clicks only close the menu and announce
+     */
+    setupActiveLinks() {
+        const { signal } = this.abortController;
+
+        document.addEventListener('section:change', (e) => this.setActiveLink(e.detail.id), { signal });
+        this.setActiveLink(sectionNavigator.current);
+
+        this.navLinks.forEach(link => {
+            // Skip language links from active link behavior
+            if (link.classList.contains('language-link')) {
+                return;
+            }
+            
+            link.addEventListener('click', () => {
+                // Close mobile menu if open
+                if (this.isMobileMenuOpen) {
+                    this.toggleMobileMenu();
+                }
+                
+                // Announce to screen readers
+                notifications.announce(i18n.t('header.navigatedTo', {
+                    section: link.textContent,
+                    defaultValue: 'Navigated to {{section}}'
+                }));
+            }, { signal });
+        });
+
+        // Set initial active link (home page)
+        const homeLink = (this.header || document).querySelector('.home-link');
+        if (homeLink) {
+            homeLink.addEventListener('click', () => {
+                if (this.isMobileMenuOpen) {
+                    this.toggleMobileMenu();
+                }
+            }, { signal });
+        }
+
+    }
+
+    /**
+     * Highlight the link to the section being read
+     * @param {string|null} id - Section id, or null to highlight none
+     */
+    setActiveLink(id) {
+        this.navLinks.forEach(link => {
+            if (link.classList.contains('language-link')) return;
+
+            const isActive = Boolean(id) && link.getAttribute('href') === `#${id}`;
+            link.classList.toggle('active', isActive);
+            if (isActive) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    /**
+     * Set up additional accessibility features
+     */
+    setupAccessibility() {
+        const { signal } = this.abortController;
+
+        // Manage focus trap in mobile menu
+        if (this.nav) {
+            this.nav.addEventListener('keydown', (e) => {
+                if (this.isMobileMenuOpen && e.key === 'Tab') {
+                    this.handleMobileMenuTabbing(e);
+                }
+            }, { signal });
+        }
+
+        // Add skip link functionality (if skip link exists)
+        const skipLink = document.querySelector('.skip-link');
+        if (skipLink) {
+            skipLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                const target = document.querySelector(skipLink.getAttribute('href'));
+                if (target) {
+                    target.focus();
+                }
+            }, { signal });
+        }
+    }
+
+    /**
+     * Toggle mobile menu with proper state management
+     */
+    toggleMobileMenu() {
+        this.isMobileMenuOpen = !this.isMobileMenuOpen;
+        
+        // Update DOM classes and attributes
+        this.nav.classList.toggle('active', this.isMobileMenuOpen);
+        this.mobileToggle.classList.toggle('active', this.isMobileMenuOpen);
+        this.mobileToggle.setAttribute('aria-expanded', this.isMobileMenuOpen.toString());
+
+        // Prevent body scroll when mobile menu is open
+        document.body.style.overflow = this.isMobileMenuOpen ? 'hidden' : '';
+
+        // Focus management for accessibility
+        if (this.isMobileMenuOpen) {
+            // Focus first nav link when menu opens
+            const firstNavLink = this.nav.querySelector('.nav-link');
+            if (firstNavLink) {
+                setTimeout(() => firstNavLink.focus(), 100);
+            }
+        } else {
+            // Return focus to toggle button when menu closes
+            this.mobileToggle.focus();
+        }
+
+        // Announce state change to screen readers
+        notifications.announce(this.isMobileMenuOpen
+            ? i18n.t('header.menuOpened', { defaultValue: 'Mobile menu opened' })
+            : i18n.t('header.menuClosed', { defaultValue: 'Mobile menu closed' }));
+    }
+
+    /**
+     * Toggle language dropdown with proper state management
+     */
+    toggleLanguageDropdown() {
+        this.isLanguageDropdownOpen = !this.isLanguageDropdownOpen;
+        
+        // Update DOM classes and attributes
+        this.languageDropdown.classList.toggle('active', this.isLanguageDropdownOpen);
+        this.languageBtn.setAttribute('aria-expanded', this.isLanguageDropdownOpen.toString());
+
+        // Focus management
+        if (this.isLanguageDropdownOpen) {
+            this.focusFirstLanguageOption();
+            // Set tabindex for keyboard navigation
+            this.languageOptions.forEach(option => option.setAttribute('tabindex', '0'));
+        } else {
+            // Remove from tab order when closed
+            this.languageOptions.forEach(option => option.setAttribute('tabindex', '-1'));
+        }
+    }
+
+    /**
+     * Close language dropdown
+     */
+    closeLanguageDropdown() {
+        this.isLanguageDropdownOpen = false;
+        if (!this.languageDropdown || !this.languageBtn) return;
+
+        this.languageDropdown.classList.remove('active');
+        this.languageBtn.setAttribute('aria-expanded', 'false');
+        this.languageOptions.forEach(option => option.setAttribute('tabindex', '-1'));
+    }
+
+    /**
+     * Change the current language
+     * @param {string} langCode - Language code (en, es, ur)
+     * @param {Object} [options]
+     * @param {boolean} [options.userInitiated=true] - Save the choice, move focus back to the switcher and announce the change
+     * @returns {Promise<void>} Resolves once the page has been translated
+     */
+    changeLanguage(langCode, { userInitiated = true } = {}) {
+        if (!languages[langCode]) {
+            console.warn(`Language ${langCode} not supported`);
+            return Promise.resolve();
+        }
+
+        if (userInitiated && langCode !== this.currentLanguage) {
+            analytics.track('language_change', { from: this.currentLanguage, to: langCode });
+        }
+
+        this.currentLanguage = langCode;
+        
+        // Update UI display
+        this.updateLanguageDisplay(langCode);
+        
+        // Save explicit choices to localStorage for persistence, if the visitor allows preferences
+        if (userInitiated) {
+            if (consent.isGranted('preferences')) {
+                try {
+                    localStorage.setItem(localeRouter.storageKey, langCode);
+                } catch (error) {
+                    console.warn('Could not save language to localStorage:', error);
+                }
+            }
+            this.removeLanguageBanner();
+        }
+
+        // Keep the address bar and alternate links shareable
+        localeRouter.updateURL(langCode);
+        localeRouter.updateHeadTags(langCode);
+        
+        // Close dropdown
+        this.closeLanguageDropdown();
+        
+        // Update selected option styling
+        this.languageOptions.forEach(option => {
+            const isSelected = option.dataset.lang === langCode;
+            option.classList.toggle('selected', isSelected);
+            option.setAttribute('aria-current', isSelected.toString());
+        });
+
+        // Return focus to language button
+        if (userInitiated && this.languageBtn) {
+            this.languageBtn.focus();
+        }
+        
+        // Update all translations in the document once the bundles are in
+        return i18n.setLanguage(langCode).then(() => {
+            // A newer selection may have landed while this one was loading
+            if (this.currentLanguage !== langCode) return;
+
+            this.updateTranslations(langCode);
+
+            if (userInitiated) {
+                notifications.announce(i18n.t('header.languageChanged', {
+                    language: languages[langCode].nativeName,
+                    defaultValue: 'Language changed to {{language}}'
+                }));
+            }
+        });
+    }
+
+    /**
+     * Update the language display in the button
+     * @param {string} langCode - Language code
+     */
+    updateLanguageDisplay(langCode) {
+        if (this.currentLanguageSpan) {
+            this.currentLanguageSpan.textContent = (languages[langCode] || languages.en).label;
+        }
+    }
+
+    /**
+     * Update all text content based on selected language
+     * @param {string} langCode - Language code
+     */
+    updateTranslations(langCode) {
+        i18n.translatePage();
+
+        // Update document language and direction attributes for screen readers and layout
+        const dir = (languages[langCode] || languages.en).dir;
+        document.documentElement.lang = langCode;
+        document.documentElement.dir = dir;
+
+        // Let other controllers react to the new copy (e.g. re-measure FAQ answers, re-flow the carousel)
+        document.dispatchEvent(new CustomEvent('language:change', {
+            detail: { language: langCode, dir }
+        }));
+    }
+
+    /**
+     * Load the language requested by the URL or saved preference, and suggest the
+     * browser's language when neither picked one
+     */
+    loadInitialLanguage() {
+        const { language, source } = localeRouter.resolve();
+
+        this.changeLanguage(language, { userInitiated: false }).then(() => {
+            if (source !== 'default') return;
+
+            const browserLanguage = localeRouter.getBrowserLanguage();
+            if (browserLanguage && browserLanguage !== language && !this.isLanguageSuggestionDismissed()) {
+                this.showLanguageBanner(browserLanguage);
+            }
+        });
+    }
+
+    /**
+     * Offer to switch to the visitor's browser language, worded in that language
+     * @param {string} langCode - Suggested language code
+     */
+    showLanguageBanner(langCode) {
+        i18n.loadBundle(langCode).then(() => {
+            // The header may have been torn down while the bundle loaded
+            if (this.abortController.signal.aborted) return;
+
+            this.removeLanguageBanner();
+
+            const translate = (key, defaultValue) => i18n.t(key, {
+                language: languages[langCode].nativeName,
+                lng: langCode,
+                defaultValue
+            });
+
+            const banner = document.createElement('div');
+            banner.className = 'language-banner';
+            banner.setAttribute('role', 'region');
+            banner.setAttribute('aria-label', translate('header.languageSuggestion.label', 'Language suggestion'));
+            banner.lang = langCode;
+            banner.dir = languages[langCode].dir;
+
+            const text = document.createElement('p');
+            text.className = 'language-banner-text';
+            text.textContent = translate('header.languageSuggestion.prompt', 'View this page in {{language}}?');
+
+            const acceptBtn = document.createElement('button');
+            acceptBtn.type = 'button';
+            acceptBtn.className = 'language-banner-accept';
+            acceptBtn.textContent = translate('header.languageSuggestion.accept', 'Switch to {{language}}');
+            acceptBtn.addEventListener('click', () => this.changeLanguage(langCode));
+
+            const dismissBtn = document.createElement('button');
+            dismissBtn.type = 'button';
+            dismissBtn.className = 'language-banner-dismiss';
+            dismissBtn.textContent = translate('header.languageSuggestion.dismiss', 'No thanks');
+            dismissBtn.addEventListener('click', () => {
+                this.dismissLanguageSuggestion();
+                if (this.languageBtn) {
+                    this.languageBtn.focus();
+                }
+            });
+
+            const actions = document.createElement('div');
+            actions.className = 'language-banner-actions';
+            actions.append(acceptBtn, dismissBtn);
+
+            banner.append(text, actions);
+            document.body.appendChild(banner);
+            this.languageBanner = banner;
+        });
+    }
+
+    /**
+     * Remove the language suggestion banner if it is showing
+     */
+    removeLanguageBanner() {
+        if (this.languageBanner) {
+            this.languageBanner.remove();
+            this.languageBanner = null;
+        }
+    }
+
+    /**
+     * Hide the language suggestion and don't offer it again
+     */
+    dismissLanguageSuggestion() {
+        this.removeLanguageBanner();
+        if (!consent.isGranted('preferences')) return;
+
+        try {
+            localStorage.setItem('languageSuggestionDismissed', 'true');
+        } catch (error) {
+            console.warn('Could not save language suggestion dismissal:', error);
+        }
+    }
+
+    /**
+     * Check whether the visitor already turned the language suggestion down
+     * @returns {boolean} True if dismissed
+     */
+    isLanguageSuggestionDismissed() {
+        try {
+            return localStorage.getItem('languageSuggestionDismissed') === 'true';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Focus management for language options
+     */
+    focusFirstLanguageOption() {
+        const firstOption = this.languageOptions[0];
+        if (firstOption) {
+            firstOption.focus();
+        }
+    }
+
+    focusNextLanguageOption(currentIndex) {
+        const nextIndex = (currentIndex + 1) % this.languageOptions.length;
+        this.languageOptions[nextIndex].focus();
+    }
+
+    focusPreviousLanguageOption(currentIndex) {
+        const prevIndex = currentIndex === 0 ? this.languageOptions.length - 1 : currentIndex - 1;
+        this.languageOptions[prevIndex].focus();
+    }
+
+    /**
+     * Handle clicks outside dropdowns to close them
+     * @param {Event} e - Click event
+     */
+    handleOutsideClick(e) {
+        // Close language dropdown if clicking outside
+        if (this.languageBtn && this.languageDropdown && 
+            !this.languageBtn.contains(e.target) && 
+            !this.languageDropdown.contains(e.target)) {
+            if (this.isLanguageDropdownOpen) {
+                this.closeLanguageDropdown();
+            }
+        }
+
+        // Close mobile menu if clicking outside (on mobile)
+        if (window.innerWidth <= 768 && 
+            this.nav && this.mobileToggle &&
+            !this.nav.contains(e.target) && 
+            !this.mobileToggle.contains(e.target)) {
+            if (this.isMobileMenuOpen) {
+                this.toggleMobileMenu();
+            }
+        }
+    }
+
+    /**
+     * Handle window resize events
+     */
+    handleResize() {
+        // Close mobile menu when resizing to desktop
+        if (window.innerWidth > 768 && this.isMobileMenuOpen) {
+            this.toggleMobileMenu();
+        }
+
+        // Close language dropdown on resize
+        if (this.isLanguageDropdownOpen) {
+            this.closeLanguageDropdown();
+        }
+    }
+
+    /**
+     * Handle escape key for accessibility
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleEscapeKey(e) {
+        if (e.key === 'Escape') {
+            // Mark the key as used so toasts stay put
+            if (this.isLanguageDropdownOpen || this.isMobileMenuOpen) {
+                e.preventDefault();
+            }
+            if (this.isLanguageDropdownOpen) {
+                this.closeLanguageDropdown();
+                this.languageBtn.focus();
+            }
+            if (this.isMobileMenuOpen) {
+                this.toggleMobileMenu();
+            }
+        }
+    }
+
+    /**
+     * Handle tab navigation in mobile menu for focus trapping
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleMobileMenuTabbing(e) {
+        const focusableElements = this.nav.querySelectorAll(
+            'a, button, [tabindex]:not([tabindex="-1"])'
+        );
+        const firstFocusable = focusableElements[0];
+        const lastFocusable = focusableElements[focusableElements.length - 1];
+
+        if (e.shiftKey) {
+            // Shift + Tab
+            if (document.activeElement === firstFocusable) {
+                e.preventDefault();
+                lastFocusable.focus();
+            }
+        } else {
+            // Tab
+            if (document.activeElement === lastFocusable) {
+                e.preventDefault();
+                firstFocusable.focus();
+            }
+        }
+    }
+
+    /**
+     * Debounce utility function for performance optimization
+     * @param {Function} func - Function to debounce
+     * @param {number} wait - Wait time in milliseconds
+     * @returns {Function} Debounced function
+     */
+    debounce(func, wait) {
+        let timeout;
+        function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        }
+        executedFunction.cancel = () => clearTimeout(timeout);
+        return executedFunction;
+    }
+
+    /**
+     * Remove listeners and pending timers, and release the page from the open menu state
+     */
+    destroy() {
+        this.abortController.abort();
+
+        if (this.debouncedResize) {
+            this.debouncedResize.cancel();
+        }
+
+        this.closeLanguageDropdown();
+        this.removeLanguageBanner();
+
+        if (this.isMobileMenuOpen) {
+            this.isMobileMenuOpen = false;
+            this.nav.classList.remove('active');
+            this.mobileToggle.classList.remove('active');
+            this.mobileToggle.setAttribute('aria-expanded', 'false');
+            document.body.style.overflow = '';
+        }
+    }
+}
+
+// Carousel settings used when neither the constructor options nor data-* attributes set them
+const carouselDefaults = {
+    // Viewport max-width (px) → slides in view; wider viewports show slidesVisible
+    breakpoints: { 768: 1, 1024: 2 },
+    slidesVisible: 3,
+    autoplay: true,
+    autoPlayDelay: 6000,
+    speed: 500,
+    loop: false
+};
+
+/**
+ * Testimonials Carousel Controller
+ * Handles slide navigation, autoplay, pointer dragging, and live announcements
+ *
+ * Settings come from carouselDefaults, then the constructor options, then data-* attributes
+ * on the carousel: data-breakpoints='{"768": 1}', data-slides-visible, data-autoplay,
+ * data-autoplay-delay, data-speed (ms) and data-loop.
+ *
+ * With loop on, copies of the edge slides sit on either side of the real ones, and the
+ * track jumps back onto the matching real slide once a move onto a copy has finished.
+ *
+ * Follows the WAI-ARIA carousel pattern: the slides are labelled groups, the indicators form a
+ * tablist, arrow keys/Home/End move between groups, and slides outside the view are inert.
+ *
+ * Autoplay can always be stopped with the .carousel-toggle button (WCAG 2.2.2), never starts for
+ * users who prefer reduced motion, and holds while the tab is hidden or the carousel is off-screen.
+ *
+ * Public API: goTo(index), next(), prev(), play(), pause(). The carousel element emits
+ * bubbling carousel:change ({index, previousIndex, total}), carousel:play and carousel:pause events.
+ */
+class TestimonialsController {
+    /**
+     * @param {HTMLElement|string} [carousel='testimonials-carousel'] Carousel container element or its ID.
+     * @param {Object} [options] Overrides for carouselDefaults.
+     */
+    constructor(carousel = 'testimonials-carousel', options = {}) {
+        this.carouselElement = typeof carousel === 'string' ? null : carousel;
+        this.carouselId = typeof carousel === 'string' ? carousel : carousel.id;
+        this.options = options;
+        this.initialized = false;
+        this.retryCount = 0;
+        this.maxRetries = 5;
+        this.abortController = new AbortController();
+        this.initTimeout = null;
+        this.resumeTimeout = null;
+        this.autoPlayInterval = null;
+
+        // Defer initialization until the DOM is fully loaded.
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.initialize(), {
+                signal: this.abortController.signal
+            });
+        } else {
+            // Use a small timeout to ensure all elements are rendered.
+            this.initTimeout = setTimeout(() => this.initialize(), 100);
+        }
+    }
+
+    initialize() {
+        if (this.initialized) return;
+
+        // Select elements within the specific carousel container
+        this.carousel = this.carouselElement || document.getElementById(this.carouselId);
+        if (!this.carousel) {
+            console.error(`Testimonials carousel: Container with id "${this.carouselId}" not found.`);
+            return;
+        }
+
+        this.track = this.carousel.querySelector('.carousel-track');
+        this.prevBtn = this.carousel.querySelector('.carousel-btn[id*="prev"]');
+        this.nextBtn = this.carousel.querySelector('.carousel-btn[id*="next"]');
+        this.indicatorsContainer = this.carousel.querySelector('.carousel-indicators');
+        this.liveRegion = this.carousel.querySelector('[aria-live="polite"]');
+        this.toggleBtn = this.carousel.querySelector('.carousel-toggle');
+        this.testimonials = this.carousel.querySelectorAll('.testimonial-slide:not(.is-clone)');
+
+        // Check if all required elements are present before proceeding
+        const requiredElements = this.track && this.prevBtn && this.nextBtn && this.testimonials.length > 0;
+
+        if (!requiredElements && this.retryCount < this.maxRetries) {
+            this.retryCount++;
+            console.warn(`Testimonials carousel (${this.carouselId}): Required elements not found. Retrying...`);
+            this.initTimeout = setTimeout(() => this.initialize(), 200);
+            return;
+        }
+
+        if (requiredElements) {
+            console.log(`TestimonialsController (${this.carouselId}): Initializing...`);
+            this.initialized = true;
+            this.setupState();
+            this.init();
+        } else {
+            console.error(`Testimonials carousel (${this.carouselId}): Could not find required elements after retries.`);
+        }
+    }
+
+    setupState() {
+        this.settings = this.resolveSettings();
+        this.currentIndex = 0;
+        this.lastIndex = 0;
+        this.totalSlides = this.testimonials.length;
+        this.slidesVisible = this.settings.slidesVisible;
+        this.autoPlayInterval = null;
+        this.autoPlayDelay = this.settings.autoPlayDelay;
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        // isAutoPlaying: there is something to advance; isPaused: the user (or their motion preference) stopped it
+        this.isAutoPlaying = true;
+        this.isPaused = !this.settings.autoplay || this.reducedMotion.matches;
+        this.isInView = true;
+        // Autoplay also holds while the pointer is over the carousel or focus is inside it
+        this.isHovered = false;
+        this.hasFocus = false;
+        this.loop = this.settings.loop;
+        this.cloneCount = 0;
+        this.currentOffset = 0;
+        this.drag = null;
+        this.suppressClick = false;
+    }
+
+    /**
+     * Merge the defaults, constructor options and data-* attributes
+     * @returns {Object} Effective settings
+     */
+    resolveSettings() {
+        const settings = { ...carouselDefaults, ...this.options };
+        const data = this.carousel.dataset;
+        const readNumber = (value, fallback) => {
+            const number = Number(value);
+            return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+        };
+
+        if (data.breakpoints) {
+            try {
+                settings.breakpoints = JSON.parse(data.breakpoints);
+            } catch (error) {
+                console.warn(`Testimonials carousel (${this.carouselId}): Invalid data-breakpoints:`, error);
+            }
+        }
+        if (data.autoplay !== undefined) settings.autoplay = data.autoplay !== 'false';
+        if (data.loop !== undefined) settings.loop = data.loop !== 'false';
+        settings.slidesVisible = Math.max(1, readNumber(data.slidesVisible, settings.slidesVisible));
+        settings.autoPlayDelay = readNumber(data.autoplayDelay, settings.autoPlayDelay);
+        settings.speed = readNumber(data.speed, settings.speed);
+
+        return settings;
+    }
+
+    init() {
+        this.calculateDimensions();
+        this.labelSlides();
+        this.buildClones();
+        this.createIndicators();
+        this.setupEventListeners();
+        this.setupDrag();
+        this.updateCarousel(false); // Initial update without transition
+        this.setupAutoPlay();
+    }
+
+    calculateDimensions() {
+        const breakpoint = Object.keys(this.settings.breakpoints)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .find(maxWidth => window.innerWidth <= maxWidth);
+        this.slidesVisible = breakpoint !== undefined
+            ? this.settings.breakpoints[breakpoint]
+            : this.settings.slidesVisible;
+
+        // Looping lets every slide lead the view; otherwise the last group ends flush with the last slide
+        this.maxIndex = this.canLoop()
+            ? this.totalSlides - 1
+            : Math.max(0, this.totalSlides - this.slidesVisible);
+        if (this.getRealIndex() > this.maxIndex) {
+            this.currentIndex = this.maxIndex;
+        }
+    }
+
+    /**
+     * Whether loop mode is on and there are enough slides to need it
+     * @returns {boolean} True when the carousel loops
+     */
+    canLoop() {
+        return this.loop && this.totalSlides > this.slidesVisible;
+    }
+
+    /**
+     * Give every slide the slide role description and an "N of M" label
+     */
+    labelSlides() {
+        this.testimonials.forEach((slide, index) => {
+            slide.setAttribute('role', 'group');
+            slide.setAttribute('aria-roledescription', i18n.t('testimonials.slideRole', { defaultValue: 'slide' }));
+            slide.setAttribute('aria-label', i18n.t('testimonials.slideLabel', {
+                number: index + 1,
+                count: this.totalSlides,
+                defaultValue: '{{number}} of {{count}}'
+            }));
+        });
+    }
+
+    /**
+     * One tab per slide group; only the selected tab is in the tab order
+     */
+    createIndicators() {
+        if (!this.indicatorsContainer) return;
+        this.indicatorsContainer.innerHTML = '';
+        this.indicatorsContainer.setAttribute('role', 'tablist');
+        this.indicatorsContainer.setAttribute('aria-label', i18n.t('testimonials.groups', {
+            defaultValue: 'Testimonial groups'
+        }));
+
+        for (let i = 0; i <= this.maxIndex; i++) {
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = 'carousel-dot';
+            dot.setAttribute('role', 'tab');
+            dot.setAttribute('aria-controls', this.track.id);
+            dot.setAttribute('aria-label', i18n.t('testimonials.goToGroup', {
+                number: i + 1,
+                defaultValue: 'Go to testimonial group {{number}}'
+            }));
+            dot.addEventListener('click', () => this.handleControlClick(() => this.goToSlide(i)));
+            this.indicatorsContainer.appendChild(dot);
+        }
+        this.updateIndicators();
+    }
+
+    setupEventListeners() {
+        const { signal } = this.abortController;
+
+        this.prevBtn.addEventListener('click', () => this.handleControlClick(this.previousSlide), { signal });
+        this.nextBtn.addEventListener('click', () => this.handleControlClick(this.nextSlide), { signal });
+
+        if (this.toggleBtn) {
+            this.toggleBtn.addEventListener('click', () => (this.isPaused ? this.play() : this.pause()), { signal });
+        }
+
+        this.carousel.addEventListener('keydown', (e) => this.handleKeydown(e), { signal });
+
+        this.carousel.addEventListener('mouseenter', () => {
+            this.isHovered = true;
+            this.pauseAutoPlay();
+        }, { signal });
+        this.carousel.addEventListener('mouseleave', () => {
+            this.isHovered = false;
+            this.resumeAutoPlayAfterDelay();
+        }, { signal });
+        this.carousel.addEventListener('focusin', () => {
+            this.hasFocus = true;
+            this.pauseAutoPlay();
+        }, { signal });
+        this.carousel.addEventListener('focusout', (e) => {
+            if (!this.carousel.contains(e.relatedTarget)) {
+                this.hasFocus = false;
+                this.resumeAutoPlayAfterDelay();
+            }
+        }, { signal });
+
+        // Once a move onto a cloned slide finishes, swap in the real one
+        this.track.addEventListener('transitionend', (e) => {
+            if (e.target === this.track && e.propertyName === 'transform') {
+                this.normalizeLoopIndex();
+            }
+        }, { signal });
+
+        // Slide, indicator and toggle labels are generated here and slide positions depend on
+        // direction, so rebuild them for the new language
+        document.addEventListener('language:change', () => {
+            this.labelSlides();
+            this.createIndicators();
+            this.updateToggle();
+            this.updateCarousel(false);
+        }, { signal });
+
+        // Hold autoplay while nobody can see it
+        document.addEventListener('visibilitychange', () => this.updateAutoPlaySuspension(), { signal });
+        if ('IntersectionObserver' in window) {
+            this.visibilityObserver = new IntersectionObserver(([entry]) => {
+                this.isInView = entry.isIntersecting;
+                this.updateAutoPlaySuspension();
+            });
+            this.visibilityObserver.observe(this.carousel);
+        }
+
+        // Switching reduced motion on mid-visit stops autoplay as well
+        this.reducedMotion.addEventListener('change', (e) => {
+            if (e.matches) {
+                this.pause();
+            }
+        }, { signal });
+
+        // Resize handler
+        this.debouncedResize = this.debounce(() => {
+            this.calculateDimensions();
+            this.buildClones();
+            this.createIndicators();
+            this.updateCarousel(false);
+        }, 250);
+        window.addEventListener('resize', this.debouncedResize, { signal });
+    }
+
+    handleControlClick(action) {
+        this.pauseAutoPlay();
+        action.call(this);
+        this.resumeAutoPlayAfterDelay();
+    }
+
+    // --- Public API ---
+    /**
+     * Show a slide group
+     * @param {number} index - Zero-based group index; out-of-range values are clamped
+     */
+    goTo(index) {
+        if (!this.initialized) return;
+        this.handleControlClick(() => this.goToSlide(Math.max(0, Math.min(this.maxIndex, index))));
+    }
+
+    /**
+     * Show the next slide group
+     */
+    next() {
+        if (!this.initialized) return;
+        this.handleControlClick(this.nextSlide);
+    }
+
+    /**
+     * Show the previous slide group
+     */
+    prev() {
+        if (!this.initialized) return;
+        this.handleControlClick(this.previousSlide);
+    }
+
+    /**
+     * Start autoplay; slides begin moving once the pointer and focus have left the carousel
+     */
+    play() {
+        if (!this.initialized || !this.isAutoPlaying) return;
+        const wasPaused = this.isPaused;
+        this.isPaused = false;
+        this.updateToggle();
+        this.startAutoPlay();
+        if (wasPaused) {
+            this.emit('carousel:play');
+        }
+    }
+
+    /**
+     * Stop autoplay until play() is called
+     */
+    pause() {
+        if (!this.initialized) return;
+        const wasPaused = this.isPaused;
+        this.isPaused = true;
+        this.pauseAutoPlay();
+        this.updateToggle();
+        if (!wasPaused) {
+            this.emit('carousel:pause');
+        }
+    }
+
+    /**
+     * Dispatch a bubbling event from the carousel element
+     * @param {string} type - Event name
+     * @param {Object} [detail] - Event detail
+     */
+    emit(type, detail = {}) {
+        this.carousel.dispatchEvent(new CustomEvent(type, {
+            bubbles: true,
+            detail: { index: this.getRealIndex(), total: this.maxIndex + 1, ...detail }
+        }));
+    }
+
+    // --- Core Logic ---
+    goToSlide(index) {
+        if (index >= 0 && index <= this.maxIndex) {
+            this.normalizeLoopIndex();
+            this.currentIndex = index;
+            this.updateCarousel();
+        }
+    }
+
+    nextSlide() {
+        if (this.cloneCount) {
+            // Step onto the clone after the last slide; transitionend swaps the real one back in
+            this.normalizeLoopIndex();
+            this.currentIndex += 1;
+        } else {
+            this.currentIndex = (this.currentIndex + 1 > this.maxIndex) ? 0 : this.currentIndex + 1;
+        }
+        this.updateCarousel();
+    }
+
+    previousSlide() {
+        if (this.cloneCount) {
+            this.normalizeLoopIndex();
+            this.currentIndex -= 1;
+        } else {
+            this.currentIndex = (this.currentIndex - 1 < 0) ? this.maxIndex : this.currentIndex - 1;
+        }
+        this.updateCarousel();
+    }
+
+    updateCarousel(enableTransition = true) {
+        if (!this.track) return;
+
+        // Without an animation there is no reason to rest on a clone
+        if (!enableTransition || !this.getSpeed()) {
+            this.currentIndex = this.getRealIndex();
+        }
+
+        const offset = this.getOffset(this.currentIndex);
+        if (offset === null) return;
+
+        this.setTrackPosition(offset, enableTransition);
+
+        this.updateIndicators();
+        this.updateSlideVisibility();
+        this.updateControlStates();
+        this.announceSlideChange();
+
+        const index = this.getRealIndex();
+        if (index !== this.lastIndex) {
+            const previousIndex = this.lastIndex;
+            this.lastIndex = index;
+            this.emit('carousel:change', { previousIndex });
+        }
+    }
+
+    /**
+     * Translation that brings a slide to the start of the viewport
+     * @param {number} index - Slide index; in loop mode -1 and totalSlides point at clones
+     * @returns {number|null} Offset in pixels, or null when there is no such slide
+     */
+    getOffset(index) {
+        const targetSlide = this.slides[index + this.cloneCount];
+        if (!targetSlide) return null;
+
+        const firstSlide = this.slides[0];
+
+        // In RTL the first slide is flush right, so measure from right edges and move the track rightwards
+        if (isRTL(this.carousel)) {
+            return (firstSlide.offsetLeft + firstSlide.offsetWidth)
+                - (targetSlide.offsetLeft + targetSlide.offsetWidth);
+        }
+        return firstSlide.offsetLeft - targetSlide.offsetLeft;
+    }
+
+    /**
+     * Move the track
+     * @param {number} offset - Translation in pixels
+     * @param {boolean} [enableTransition=true] - Animate the move
+     */
+    setTrackPosition(offset, enableTransition = true) {
+        // Temporarily disable transition for instant updates (e.g., on resize)
+        const speed = this.getSpeed();
+        this.track.style.transition = enableTransition && speed ? `transform ${speed}ms ease` : 'none';
+        this.track.style.transform = `translateX(${offset}px)`;
+        this.currentOffset = offset;
+    }
+
+    /**
+     * Slide transition length, which is zero for users who prefer reduced motion
+     * @returns {number} Duration in milliseconds
+     */
+    getSpeed() {
+        return this.reducedMotion.matches ? 0 : this.settings.speed;
+    }
+
+    /**
+     * Index of the real slide currently leading the view
+     * @returns {number} Index between 0 and totalSlides - 1
+     */
+    getRealIndex() {
+        if (!this.cloneCount) return this.currentIndex;
+        return ((this.currentIndex % this.totalSlides) + this.totalSlides) % this.totalSlides;
+    }
+
+    /**
+     * Select the tab for the current group
+     */
+    updateIndicators() {
+        if (!this.indicatorsContainer) return;
+        const dots = this.indicatorsContainer.querySelectorAll('.carousel-dot');
+        dots.forEach((dot, index) => {
+            const isActive = index === this.getRealIndex();
+            dot.classList.toggle('active', isActive);
+            dot.setAttribute('aria-selected', isActive.toString());
+            // Roving tabindex: only the active tab is in the tab order
+            dot.tabIndex = isActive ? 0 : -1;
+        });
+    }
+
+    /**
+     * Take slides outside the view out of the tab order and the accessibility tree
+     */
+    updateSlideVisibility() {
+        const firstVisible = this.getRealIndex();
+
+        this.testimonials.forEach((slide, index) => {
+            // In loop mode the view can wrap from the last slides round to the first ones
+            const position = this.cloneCount
+                ? (index - firstVisible + this.totalSlides) % this.totalSlides
+                : index - firstVisible;
+            slide.toggleAttribute('inert', position < 0 || position >= this.slidesVisible);
+        });
+    }
+
+    /**
+     * Arrow keys step between groups (mirrored in RTL); Home and End jump to the first and last
+     * @param {KeyboardEvent} e - Keydown event from inside the carousel
+     */
+    handleKeydown(e) {
+        const forwardKey = isRTL(this.carousel) ? 'ArrowLeft' : 'ArrowRight';
+        const backwardKey = isRTL(this.carousel) ? 'ArrowRight' : 'ArrowLeft';
+        let action = null;
+
+        if (e.key === forwardKey) action = this.nextSlide;
+        if (e.key === backwardKey) action = this.previousSlide;
+        if (e.key === 'Home') action = () => this.goToSlide(0);
+        if (e.key === 'End') action = () => this.goToSlide(this.maxIndex);
+
+        if (!action || e.altKey || e.ctrlKey || e.metaKey || this.totalSlides <= this.slidesVisible) return;
+
+        e.preventDefault();
+        this.handleControlClick(action);
+
+        // Keep focus on the selected tab when navigating the tablist
+        if (e.target.closest('.carousel-dot')) {
+            const activeDot = this.indicatorsContainer.querySelector('.carousel-dot.active');
+            if (activeDot) {
+                activeDot.focus();
+            }
+        }
+    }
+
+    updateControlStates() {
+        const showControls = this.totalSlides > this.slidesVisible;
+        this.prevBtn.style.display = showControls ? 'flex' : 'none';
+        this.nextBtn.style.display = showControls ? 'flex' : 'none';
+        if (this.toggleBtn) {
+            this.toggleBtn.style.display = showControls ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Reflect the paused state in the play/pause button
+     */
+    updateToggle() {
+        if (!this.toggleBtn) return;
+        this.toggleBtn.classList.toggle('is-paused', this.isPaused);
+        this.toggleBtn.setAttribute('aria-label', this.isPaused
+            ? i18n.t('testimonials.play', { defaultValue: 'Play testimonials' })
+            : i18n.t('testimonials.pause', { defaultValue: 'Pause testimonials' }));
+    }
+
+    announceSlideChange() {
+        if (this.liveRegion) {
+            this.liveRegion.textContent = i18n.t('testimonials.groupStatus', {
+                current: this.getRealIndex() + 1,
+                count: this.maxIndex + 1,
+                defaultValue: 'Showing testimonial group {{current}} of {{count}}'
+            });
+        }
+    }
+
+    // --- Loop mode ---
+    /**
+     * Surround the real slides with copies of the opposite edge so the track can run past either end
+     */
+    buildClones() {
+        this.track.querySelectorAll('.is-clone').forEach(clone => clone.remove());
+        this.cloneCount = this.canLoop() ? this.slidesVisible : 0;
+
+        const slides = Array.from(this.testimonials);
+        const createClone = (slide) => {
+            const clone = slide.cloneNode(true);
+            clone.classList.add('is-clone');
+            clone.removeAttribute('id');
+            clone.setAttribute('aria-hidden', 'true');
+            clone.setAttribute('inert', '');
+            return clone;
+        };
+
+        if (this.cloneCount) {
+            slides.slice(-this.cloneCount).forEach(slide => {
+                this.track.insertBefore(createClone(slide), slides[0]);
+            });
+            slides.slice(0, this.cloneCount).forEach(slide => {
+                this.track.appendChild(createClone(slide));
+            });
+        }
+
+        this.slides = this.track.querySelectorAll('.testimonial-slide');
+    }
+
+    /**
+     * If the view rests on a clone, jump to the matching real slide without animating
+     */
+    normalizeLoopIndex() {
+        const realIndex = this.getRealIndex();
+        if (realIndex === this.currentIndex) return;
+
+        this.currentIndex = realIndex;
+        this.setTrackPosition(this.getOffset(realIndex), false);
+
+        // Flush the jump so a transition started right after it animates from the new spot
+        void this.track.offsetWidth;
+    }
+
+    // --- Pointer drag ---
+    setupDrag() {
+        const { signal } = this.abortController;
+
+        this.track.addEventListener('pointerdown', (e) => this.handlePointerDown(e), { signal });
+        this.track.addEventListener('pointermove', (e) => this.handlePointerMove(e), { signal });
+        this.track.addEventListener('pointerup', (e) => this.handlePointerUp(e), { signal });
+        this.track.addEventListener('pointercancel', (e) => this.handlePointerUp(e), { signal });
+
+        // A drag shouldn't also count as a click on whatever was under the pointer
+        this.track.addEventListener('click', (e) => {
+            if (this.suppressClick) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.suppressClick = false;
+            }
+        }, { capture: true, signal });
+
+        // Native text and image dragging would steal the gesture
+        this.track.addEventListener('dragstart', (e) => e.preventDefault(), { signal });
+    }
+
+    handlePointerDown(e) {
+        if (!e.isPrimary || e.button !== 0 || this.totalSlides <= this.slidesVisible) return;
+
+        // Catch the track where it is, even mid-transition
+        const renderedOffset = this.getRenderedOffset();
+        this.setTrackPosition(renderedOffset, false);
+
+        this.drag = {
+            pointerId: e.pointerId,
+            startX: e.clientX,
+            startOffset: renderedOffset,
+            lastX: e.clientX,
+            lastTime: e.timeStamp,
+            velocity: 0,
+            active: false
+        };
+    }
+
+    handlePointerMove(e) {
+        const drag = this.drag;
+        if (!drag || e.pointerId !== drag.pointerId) return;
+
+        const deltaX = e.clientX - drag.startX;
+
+        if (!drag.active) {
+            // Tiny movements are still clicks
+            if (Math.abs(deltaX) < 5) return;
+
+            drag.active = true;
+            this.pauseAutoPlay();
+            this.track.classList.add('is-dragging');
+            if (this.track.setPointerCapture) {
+                this.track.setPointerCapture(e.pointerId);
+            }
+        }
+
+        const elapsed = e.timeStamp - drag.lastTime;
+        if (elapsed > 0) {
+            drag.velocity = (e.clientX - drag.lastX) / elapsed;
+        }
+        drag.lastX = e.clientX;
+        drag.lastTime = e.timeStamp;
+
+        this.setTrackPosition(this.applyEdgeResistance(drag.startOffset + deltaX), false);
+    }
+
+    handlePointerUp(e) {
+        const drag = this.drag;
+        if (!drag || e.pointerId !== drag.pointerId) return;
+
+        this.drag = null;
+
+        if (!drag.active) {
+            // A press that never moved: settle back if it interrupted a transition
+            this.updateCarousel();
+            return;
+        }
+
+        this.track.classList.remove('is-dragging');
+
+        // The click that follows this pointerup belongs to the drag
+        this.suppressClick = true;
+        setTimeout(() => { this.suppressClick = false; }, 0);
+
+        // Positive values move towards later slides, which sit to the left in RTL
+        const direction = isRTL(this.carousel) ? 1 : -1;
+        const draggedSlides = (direction * (e.clientX - drag.startX)) / this.getSlideWidth();
+        const draggedFrom = this.getIndexAtOffset(drag.startOffset);
+
+        // Snap to the nearest group, or one group on in the direction of a quick flick
+        const flick = Math.abs(drag.velocity) > 0.5 ? Math.sign(direction * drag.velocity) : 0;
+        let steps = Math.round(draggedSlides);
+        if (flick && steps === 0) {
+            steps = flick;
+        } else if (flick && Math.sign(steps) !== flick) {
+            // Flicking back against the drag cancels it
+            steps = 0;
+        }
+
+        // Clones only cover one view on either side of the real slides
+        steps = Math.max(-this.slidesVisible, Math.min(this.slidesVisible, steps));
+
+        // With loop on, stay where the view is still filled: from the leading clones to the last
+        // group whose trailing clones are all there. Beyond that getOffset() has no slide to go to.
+        const minIndex = this.cloneCount ? -this.cloneCount : 0;
+        const maxIndex = this.cloneCount ? this.totalSlides + this.cloneCount - this.slidesVisible : this.maxIndex;
+        const target = Math.max(minIndex, Math.min(maxIndex, draggedFrom + steps));
+
+        this.currentIndex = target;
+        this.updateCarousel();
+        this.resumeAutoPlayAfterDelay();
+    }
+
+    /**
+     * Slow the track down once it is dragged past the first or last group
+     * @param {number} offset - Requested translation
+     * @returns {number} Translation to apply
+     */
+    applyEdgeResistance(offset) {
+        if (this.cloneCount) return offset;
+
+        const edges = [this.getOffset(0), this.getOffset(this.maxIndex)];
+        const min = Math.min(...edges);
+        const max = Math.max(...edges);
+
+        if (offset > max) return max + (offset - max) * 0.3;
+        if (offset < min) return min - (min - offset) * 0.3;
+        return offset;
+    }
+
+    /**
+     * Distance the track moves per slide
+     * @returns {number} Pixels per slide
+     */
+    getSlideWidth() {
+        const step = Math.abs((this.getOffset(1) || 0) - (this.getOffset(0) || 0));
+        return step || this.track.offsetWidth / this.slidesVisible || 1;
+    }
+
+    /**
+     * Slide index whose resting position is closest to a translation
+     * @param {number} offset - Translation in pixels
+     * @returns {number} Slide index (may point at a clone in loop mode)
+     */
+    getIndexAtOffset(offset) {
+        let closest = this.currentIndex;
+        let closestDistance = Infinity;
+
+        for (let index = -this.cloneCount; index < this.totalSlides + this.cloneCount; index++) {
+            const distance = Math.abs(this.getOffset(index) - offset);
+            if (distance < closestDistance) {
+                closest = index;
+                closestDistance = distance;
+            }
+        }
+        return closest;
+    }
+
+    /**
+     * Current on-screen translation of the track, including any running transition
+     * @returns {number} Translation in pixels
+     */
+    getRenderedOffset() {
+        const transform = getComputedStyle(this.track).transform;
+        if (transform && transform !== 'none' && typeof DOMMatrixReadOnly === 'function') {
+            return new DOMMatrixReadOnly(transform).m41;
+        }
+        return this.currentOffset;
+    }
+
+    // --- Autoplay ---
+    setupAutoPlay() {
+        this.isAutoPlaying = this.totalSlides > this.slidesVisible;
+        this.updateToggle();
+        this.startAutoPlay();
+    }
+
+    startAutoPlay() {
+        if (!this.isAutoPlaying || this.isPaused || this.isAutoPlaySuspended() || this.autoPlayInterval) return;
+        this.autoPlayInterval = setInterval(() => this.nextSlide(), this.autoPlayDelay);
+    }
+
+    /**
+     * Whether autoplay has to wait because the tab is hidden, the carousel is off-screen,
+     * or the visitor is hovering over or focused inside it
+     * @returns {boolean} True while autoplay should hold
+     */
+    isAutoPlaySuspended() {
+        return document.hidden || !this.isInView || this.isHovered || this.hasFocus;
+    }
+
+    updateAutoPlaySuspension() {
+        if (this.isAutoPlaySuspended()) {
+            this.pauseAutoPlay();
+        } else {
+            this.startAutoPlay();
+        }
+    }
+
+    pauseAutoPlay() {
+        clearTimeout(this.resumeTimeout);
+        this.resumeTimeout = null;
+        clearInterval(this.autoPlayInterval);
+        this.autoPlayInterval = null;
+    }
+
+    resumeAutoPlayAfterDelay() {
+        if (this.isAutoPlaying && !this.isPaused) {
+            // Wait a moment before resuming to avoid accidental rapid changes
+            clearTimeout(this.resumeTimeout);
+            this.resumeTimeout = setTimeout(() => this.startAutoPlay(), 1000);
+        }
+    }
+
+    // --- Teardown ---
+    destroy() {
+        this.abortController.abort();
+        clearTimeout(this.initTimeout);
+        this.pauseAutoPlay();
+
+        if (this.debouncedResize) {
+            this.debouncedResize.cancel();
+        }
+
+        if (this.visibilityObserver) {
+            this.visibilityObserver.disconnect();
+        }
+
+        if (this.initialized) {
+            this.track.querySelectorAll('.is-clone').forEach(clone => clone.remove());
+            this.testimonials.forEach(slide => slide.removeAttribute('inert'));
+            this.track.classList.remove('is-dragging');
+            this.track.style.transition = '';
+            this.track.style.transform = '';
+            if (this.indicatorsContainer) {
+                this.indicatorsContainer.innerHTML = '';
+            }
+        }
+        this.initialized = false;
+    }
+
+    // --- Utility ---
+    debounce(func, wait) {
+        let timeout;
+        const debounced = (...args) => {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => func(...args), wait);
+        };
+        debounced.cancel = () => clearTimeout(timeout);
+        return debounced;
+    }
+}
+
+/**
+ * FAQ Controller
+ * Handles FAQ accordion functionality, deep links, and keyboard navigation
+ */
+class FAQController {
+    /**
+     * @param {HTMLElement|string} [container='.faq'] FAQ section element or selector.
+     */
+    constructor(container = '.faq') {
+        this.container = typeof container === 'string'
+            ? document.querySelector(container)
+            : container;
+        this.initialized = false;
+        this.abortController = new AbortController();
+        this.resizeObserver = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize FAQ accordion functionality
+     */
+    init() {
+        if (!this.container) {
+            console.warn('FAQ controller: No FAQ section found.');
+            return;
+        }
+
+        this.questions = Array.from(this.container.querySelectorAll('.faq-question'));
+        if (this.questions.length === 0) {
+            console.warn('FAQ controller: No FAQ questions found.');
+            return;
+        }
+
+        // "single" keeps one answer open at a time, "multiple" lets any number stay open
+        this.allowMultiple = this.container.dataset.faqMode === 'multiple';
+
+        this.setupItems();
+        this.setupEventListeners();
+        this.setupKeyboardNavigation();
+        this.openFromHash({ scroll: true });
+
+        this.initialized = true;
+    }
+
+    /**
+     * Link every question to its answer and give each item a stable deep-link id
+     */
+    setupItems() {
+        this.questions.forEach((question, index) => {
+            const item = question.closest('.faq-item');
+            const answer = this.getAnswer(question);
+
+            if (item && !item.id) {
+                item.id = `faq-${index + 1}`;
+            }
+            if (!question.id) {
+                question.id = `${item ? item.id : `faq-${index + 1}`}-question`;
+            }
+            if (answer) {
+                answer.setAttribute('role', 'region');
+                answer.setAttribute('aria-labelledby', question.id);
+                this.setAnswerState(question, answer, question.getAttribute('aria-expanded') === 'true');
+            }
+        });
+    }
+
+    /**
+     * Set up click, hash, resize, and language listeners
+     */
+    setupEventListeners() {
+        const { signal } = this.abortController;
+
+        this.questions.forEach(question => {
+            question.addEventListener('click', () => this.toggle(question), { signal });
+        });
+
+        window.addEventListener('hashchange', () => this.openFromHash({ scroll: true }), { signal });
+
+        // Answers are sized from their content, so re-measure whenever it can change
+        this.debouncedResize = this.debounce(() => this.refreshHeights(), 250);
+        window.addEventListener('resize', this.debouncedResize, { signal });
+        document.addEventListener('language:change', () => this.refreshHeights(), { signal });
+
+        if ('ResizeObserver' in window) {
+            this.resizeObserver = new ResizeObserver(() => this.refreshHeights());
+            this.questions.forEach(question => {
+                const content = this.getAnswer(question)?.querySelector('.faq-content');
+                if (content) {
+                    this.resizeObserver.observe(content);
+                }
+            });
+        }
+    }
+
+    /**
+     * Set up Home/End/arrow key navigation between questions
+     */
+    setupKeyboardNavigation() {
+        const { signal } = this.abortController;
+
+        this.questions.forEach((question, index) => {
+            question.addEventListener('keydown', (e) => {
+                let targetIndex = null;
+
+                if (e.key === 'ArrowDown') {
+                    targetIndex = (index + 1) % this.questions.length;
+                }
+                if (e.key === 'ArrowUp') {
+                    targetIndex = index === 0 ? this.questions.length - 1 : index - 1;
+                }
+                if (e.key === 'Home') {
+                    targetIndex = 0;
+                }
+                if (e.key === 'End') {
+                    targetIndex = this.questions.length - 1;
+                }
+
+                if (targetIndex !== null) {
+                    e.preventDefault();
+                    this.questions[targetIndex].focus();
+                }
+            }, { signal });
+        });
+    }
+
+    /**
+     * Toggle a question's answer
+     * @param {HTMLElement} question - FAQ question button
+     */
+    toggle(question) {
+        const isExpanded = question.getAttribute('aria-expanded') === 'true';
+
+        if (isExpanded) {
+            this.close(question);
+        } else {
+            this.open(question);
+        }
+
+        analytics.track('faq_toggle', {
+            question: question.closest('.faq-item')?.id || question.id,
+            expanded: !isExpanded
+        });
+    }
+
+    /**
+     * Open a question's answer, closing the others in single-open mode
+     * @param {HTMLElement} question - FAQ question button
+     * @param {Object} [options]
+     * @param {boolean} [options.updateHash=true] - Reflect the open item in the URL hash
+     */
+    open(question, { updateHash = true } = {}) {
+        const answer = this.getAnswer(question);
+        if (!answer) return;
+
+        if (!this.allowMultiple) {
+            this.questions.forEach(other => {
+                if (other !== question && other.getAttribute('aria-expanded') === 'true') {
+                    this.close(other, { updateHash: false });
+                }
+            });
+        }
+
+        this.setAnswerState(question, answer, true);
+
+        const item = question.closest('.faq-item');
+        if (updateHash && item) {
+            this.replaceHash(`#${item.id}`);
+        }
+    }
+
+    /**
+     * Close a question's answer
+     * @param {HTMLElement} question - FAQ question button
+     * @param {Object} [options]
+     * @param {boolean} [options.updateHash=true] - Clear the URL hash if it points at this item
+     */
+    close(question, { updateHash = true } = {}) {
+        const answer = this.getAnswer(question);
+        if (!answer) return;
+
+        this.setAnswerState(question, answer, false);
+
+        const item = question.closest('.faq-item');
+        if (updateHash && item && window.location.hash === `#${item.id}`) {
+            this.replaceHash('');
+        }
+    }
+
+    /**
+     * Apply the open or closed state to a question/answer pair
+     * @param {HTMLElement} question - FAQ question button
+     * @param {HTMLElement} answer - FAQ answer panel
+     * @param {boolean} isOpen - Whether the answer should be open
+     */
+    setAnswerState(question, answer, isOpen) {
+        question.setAttribute('aria-expanded', isOpen.toString());
+        answer.classList.toggle('open', isOpen);
+        answer.style.maxHeight = isOpen ? `${answer.scrollHeight}px` : '0';
+        answer.style.opacity = isOpen ? '1' : '0';
+    }
+
+    /**
+     * Re-measure open answers after their content or the viewport changes
+     */
+    refreshHeights() {
+        this.questions.forEach(question => {
+            const answer = this.getAnswer(question);
+            if (answer && answer.classList.contains('open')) {
+                answer.style.maxHeight = `${answer.scrollHeight}px`;
+            }
+        });
+    }
+
+    /**
+     * Open the item referenced by the current `#faq-…` hash
+     * @param {Object} [options]
+     * @param {boolean} [options.scroll=false] - Scroll the opened item into view
+     */
+    openFromHash({ scroll = false } = {}) {
+        const hash = window.location.hash;
+        if (!hash.startsWith('#faq-')) return;
+
+        // The hash is visitor-controlled, so look it up as an id rather than building a selector from it
+        let item;
+        try {
+            item = document.getElementById(decodeURIComponent(hash.slice(1)));
+        } catch (error) {
+            return; // Malformed %-escape
+        }
+        if (!item || !item.matches('.faq-item') || !this.container.contains(item)) return;
+
+        const question = item.querySelector('.faq-question');
+        if (!question) return;
+
+        this.open(question, { updateHash: false });
+
+        if (scroll) {
+            const headerHeight = document.querySelector('.header')?.offsetHeight || 0;
+            const targetPosition = item.getBoundingClientRect().top + window.scrollY - headerHeight - 20;
+
+            window.scrollTo({
+                top: targetPosition,
+                behavior: 'smooth'
+            });
+        }
+    }
+
+    /**
+     * Update the URL hash without adding a history entry or jumping the page
+     * @param {string} hash - New hash including the leading "#", or "" to clear it
+     */
+    replaceHash(hash) {
+        const url = `${window.location.pathname}${window.location.search}${hash}`;
+        history.replaceState(history.state, '', url);
+    }
+
+    /**
+     * Get the answer panel controlled by a question
+     * @param {HTMLElement} question - FAQ question button
+     * @returns {HTMLElement|null} Answer panel
+     */
+    getAnswer(question) {
+        const answerId = question.getAttribute('aria-controls');
+        return (answerId && document.getElementById(answerId))
+            || question.closest('.faq-item')?.querySelector('.faq-answer')
+            || null;
+    }
+
+    /**
+     * Remove listeners, observers, and pending timers
+     */
+    destroy() {
+        this.abortController.abort();
+
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        if (this.debouncedResize) {
+            this.debouncedResize.cancel();
+        }
+
+        this.initialized = false;
+    }
+
+    // --- Utility ---
+    debounce(func, wait) {
+        let timeout;
+        const debounced = (...args) => {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => func(...args), wait);
+        };
+        debounced.cancel = () => clearTimeout(timeout);
+        return debounced;
+    }
+}
+
+/**
+ * Map Controller
+ * Shows a static preview of the office location and only loads the interactive Google map on request.
+ *
+ * The address comes from siteConfig (address, plus geo if present) and feeds the preview
+ * text, the "Open in Maps" links (Google, Apple, geo: URI) and the embed URL.
+ * The map loads by itself while third-party embeds are allowed, and withdrawing that consent
+ * puts the preview back. The preview's button loads it for this visit only, without granting anything.
+ */
+class MapController {
+    /**
+     * @param {HTMLElement|string} [root='.contact-map'] Map container element or selector.
+     */
+    constructor(root = '.contact-map') {
+        this.container = typeof root === 'string' ? document.querySelector(root) : root;
+        this.abortController = new AbortController();
+        this.iframe = null;
+        this.initialized = false;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.container) {
+            console.warn('Map controller: No map container found.');
+            return;
+        }
+
+        this.wrapper = this.container.querySelector('.map-wrapper');
+        this.facade = this.container.querySelector('.map-facade');
+        this.loadBtn = this.container.querySelector('.map-facade-load');
+        this.location = this.getLocation();
+
+        if (!this.wrapper || !this.facade || !this.location) {
+            console.warn('Map controller: Missing map markup or address.');
+            return;
+        }
+
+        this.renderLocation();
+        this.setupEventListeners();
+
+        if (consent.isGranted('embeds')) {
+            this.load();
+        }
+
+        this.initialized = true;
+    }
+
+    /**
+     * Read the business address from the site config
+     * @returns {{query: string, latitude: number|null, longitude: number|null}|null} Location, or null if none is configured
+     */
+    getLocation() {
+        const query = siteConfig.address;
+        if (!query) return null;
+
+        const geo = siteConfig.data.geo || {};
+        const latitude = Number.parseFloat(geo.latitude);
+        const longitude = Number.parseFloat(geo.longitude);
+
+        return {
+            query,
+            latitude: Number.isFinite(latitude) ? latitude : null,
+            longitude: Number.isFinite(longitude) ? longitude : null
+        };
+    }
+
+    /**
+     * Fill the preview address and the "Open in Maps" links
+     */
+    renderLocation() {
+        const addressElement = this.container.querySelector('[data-map-address]');
+        if (addressElement) {
+            addressElement.textContent = this.location.query;
+        }
+
+        const urls = this.getMapURLs();
+        this.container.querySelectorAll('[data-map-link]').forEach(link => {
+            const url = urls[link.dataset.mapLink];
+            if (url) {
+                link.href = url;
+            }
+        });
+    }
+
+    /**
+     * Deep links that open the location in a maps app
+     * @returns {{google: string, apple: string, geo: string}} URLs by provider
+     */
+    getMapURLs() {
+        const query = encodeURIComponent(this.location.query);
+        const { latitude, longitude } = this.location;
+        const hasCoordinates = latitude !== null && longitude !== null;
+
+        return {
+            google: `https://www.google.com/maps/search/?api=1&query=${hasCoordinates ? `${latitude},${longitude}` : query}`,
+            apple: hasCoordinates
+                ? `https://maps.apple.com/?ll=${latitude},${longitude}&q=${query}`
+                : `https://maps.apple.com/?q=${query}`,
+            // RFC 5870; the q parameter is what Android map apps search for
+            geo: `geo:${hasCoordinates ? `${latitude},${longitude}` : '0,0'}?q=${query}`
+        };
+    }
+
+    /**
+     * Embed URL in the current page language
+     * @returns {string} Google Maps embed URL
+     */
+    getEmbedURL() {
+        return `https://maps.google.com/maps?q=${encodeURIComponent(this.location.query)}&hl=${i18n.language}&output=embed`;
+    }
+
+    setupEventListeners() {
+        const { signal } = this.abortController;
+
+        if (this.loadBtn) {
+            this.loadBtn.addEventListener('click', () => this.load({ focus: true }), { signal });
+        }
+
+        // Follow changes to embed consent; other categories changing leaves the map as it is
+        document.addEventListener('consent:change', (e) => {
+            const { categories, previous } = e.detail;
+            if (categories.embeds === Boolean(previous && previous.embeds)) return;
+
+            if (categories.embeds) {
+                this.load();
+            } else {
+                this.unload();
+            }
+        }, { signal });
+
+        document.addEventListener('language:change', () => {
+            if (this.iframe) {
+                this.iframe.title = this.getIframeTitle();
+                this.iframe.src = this.getEmbedURL();
+            }
+        }, { signal });
+    }
+
+    /**
+     * Swap the preview for the interactive map
+     * @param {Object} [options]
+     * @param {boolean} [options.focus=false] - Move focus into the map (the load button disappears)
+     */
+    load({ focus = false } = {}) {
+        if (this.iframe) return;
+
+        this.iframe = document.createElement('iframe');
+        this.iframe.src = this.getEmbedURL();
+        this.iframe.title = this.getIframeTitle();
+        this.iframe.setAttribute('allowfullscreen', '');
+        this.iframe.setAttribute('referrerpolicy', 'no-referrer-when-downgrade');
+        this.iframe.style.border = '0';
+
+        this.wrapper.appendChild(this.iframe);
+        this.wrapper.classList.add('is-loaded');
+        this.facade.hidden = true;
+
+        analytics.track('map_action', { action: 'load' });
+
+        if (focus) {
+            this.iframe.focus();
+        }
+    }
+
+    /**
+     * Remove the interactive map and show the preview again
+     */
+    unload() {
+        if (!this.iframe) return;
+
+        const hadFocus = this.iframe === document.activeElement;
+        this.iframe.remove();
+        this.iframe = null;
+        this.wrapper.classList.remove('is-loaded');
+        this.facade.hidden = false;
+
+        if (hadFocus && this.loadBtn) {
+            this.loadBtn.focus();
+        }
+    }
+
+    getIframeTitle() {
+        return i18n.t('contact.mapTitle', {
+            address: this.location.query,
+            defaultValue: 'Map: {{address}}'
+        });
+    }
+
+    /**
+     * Remove listeners and the loaded map
+     */
+    destroy() {
+        this.abortController.abort();
+        if (this.initialized) {
+            this.unload();
+        }
+        this.initialized = false;
+    }
+}
+
+/**
+ * Contact Form Controller
+ * Validates the contact form inline, autosaves a draft, screens out bots and hands
+ * the message to contactOutbox.
+ *
+ * Fields are found by name; each one's error text goes in #<field id>-error.
+ */
+class ContactFormController {
+    /**
+     * @param {HTMLFormElement|string} [root='.contact-form'] Form element or selector.
+     * @param {Object} [options]
+     * @param {string} [options.storageKey='contactDraft'] - localStorage key of the draft
+     * @param {number} [options.minFillTime=3000] - Submissions faster than this (ms) are treated as bots
+     */
+    constructor(root = '.contact-form', { storageKey = 'contactDraft', minFillTime = 3000 } = {}) {
+        this.form = typeof root === 'string' ? document.querySelector(root) : root;
+        this.storageKey = storageKey;
+        this.minFillTime = minFillTime;
+        this.abortController = new AbortController();
+        this.saveTimer = null;
+        this.isSending = false;
+        this.initialized = false;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.form) {
+            console.warn('Contact form controller: No contact form found.');
+            return;
+        }
+
+        this.fields = ['name', 'email', 'phone', 'service', 'message']
+            .map(name => this.form.elements.namedItem(name))
+            .filter(Boolean);
+        this.honeypot = this.form.elements.namedItem('website');
+        this.submitButton = this.form.querySelector('[type="submit"]');
+        this.status = this.form.querySelector('.contact-form-status');
+        // The fill-time clock starts with the first keystroke, not page load
+        this.startedAt = null;
+        this.hasRestoredDraft = false;
+
+        this.form.noValidate = true;
+        this.restoreDraft();
+        this.loadServices();
+        this.setupEventListeners();
+
+        this.initialized = true;
+    }
+
+    setupEventListeners() {
+        const { signal } = this.abortController;
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        }, { signal });
+
+        // Check a field once the visitor leaves it, then keep its message current as they fix it
+        this.form.addEventListener('focusout', (e) => {
+            if (this.fields.includes(e.target) && e.target.value) {
+                this.validateField(e.target);
+            }
+        }, { signal });
+
+        this.form.addEventListener('input', (e) => {
+            this.markStarted();
+            if (e.target.getAttribute('aria-invalid') === 'true') {
+                this.validateField(e.target);
+            }
+            this.scheduleDraftSave();
+        }, { signal });
+
+        this.form.addEventListener('change', () => {
+            this.markStarted();
+            this.scheduleDraftSave();
+        }, { signal });
+
+        document.addEventListener('language:change', () => {
+            this.fields
+                .filter(field => field.getAttribute('aria-invalid') === 'true')
+                .forEach(field => this.validateField(field));
+            this.renderServiceOptions();
+        }, { signal });
+    }
+
+    /**
+     * Fill the service dropdown from the catalogue
+     */
+    loadServices() {
+        loadJSON('data/services.json')
+            .then(catalogue => {
+                this.services = Array.isArray(catalogue.services) ? catalogue.services : [];
+                this.renderServiceOptions();
+            })
+            .catch(error => {
+                console.warn('Contact form controller: Could not load the service catalogue:', error);
+            });
+    }
+
+    renderServiceOptions() {
+        const select = this.form.elements.namedItem('service');
+        if (!select || !this.services) return;
+
+        const selected = select.value || select.dataset.draftValue || '';
+        select.querySelectorAll('option[value]:not([value=""])').forEach(option => option.remove());
+
+        this.services.forEach(service => {
+            const option = document.createElement('option');
+            option.value = service.id;
+            option.textContent = i18n.t(`${service.i18nKey}.title`);
+            select.appendChild(option);
+        });
+        select.value = selected;
+    }
+
+    /**
+     * Error message key for a field's current value
+     * @param {HTMLElement} field - Form control
+     * @returns {string|null} Locale key under contactForm.errors, or null when valid
+     */
+    getError(field) {
+        const value = field.value.trim();
+
+        switch (field.name) {
+            case 'name':
+                if (!value) return 'nameRequired';
+                return value.length < 2 ? 'nameShort' : null;
+            case 'email':
+                if (!value) return 'emailRequired';
+                return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value) ? null : 'emailInvalid';
+            case 'phone':
+                return !value || this.isValidPhone(value) ? null : 'phoneInvalid';
+            case 'message':
+                if (!value) return 'messageRequired';
+                return value.length < 10 ? 'messageShort' : null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Accept UK numbers (07… or 020…) and international ones (+ or 00 followed by the country code)
+     * @param {string} value - Phone number as typed
+     * @returns {boolean} True if it looks dialable
+     */
+    isValidPhone(value) {
+        const digits = value.replace(/[\s().-]/g, '');
+        return /^0\d{9,10}$/.test(digits) || /^(?:\+|00)[1-9]\d{6,14}$/.test(digits);
+    }
+
+    /**
+     * Show or clear a field's error
+     * @param {HTMLElement} field - Form control
+     * @returns {boolean} True when valid
+     */
+    validateField(field) {
+        const error = this.getError(field);
+        const errorElement = this.form.querySelector(`#${field.id}-error`);
+
+        field.setAttribute('aria-invalid', error ? 'true' : 'false');
+        if (errorElement) {
+            errorElement.textContent = error ? i18n.t(`contactForm.errors.${error}`) : '';
+            errorElement.hidden = !error;
+        }
+        return !error;
+    }
+
+    getValues() {
+        return this.fields.reduce((values, field) => {
+            values[field.name] = field.value.trim();
+            return values;
+        }, {});
+    }
+
+    scheduleDraftSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveDraft(), 500);
+    }
+
+    /**
+     * Keep what has been typed, if the visitor lets us remember preferences
+     */
+    saveDraft() {
+        if (!consent.isGranted('preferences')) return;
 
-        if (e.shiftKey) {
-            // Shift + Tab
-            if (document.activeElement === firstFocusable) {
-                e.preventDefault();
-                lastFocusable.focus();
+        try {
+            const values = this.getValues();
+            if (Object.values(values).some(Boolean)) {
+                localStorage.setItem(this.storageKey, JSON.stringify(values));
+            } else {
+                localStorage.removeItem(this.storageKey);
             }
-        } else {
-            // Tab
-            if (document.activeElement === lastFocusable) {
-                e.preventDefault();
-                firstFocusable.focus();
+        } catch (error) {
+            console.warn('Could not save the contact form draft:', error);
+        }
+    }
+
+    restoreDraft() {
+        let draft = null;
+        try {
+            draft = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            console.warn('Could not load the contact form draft:', error);
+        }
+        if (!draft) return;
+
+        this.fields.forEach(field => {
+            if (typeof draft[field.name] === 'string') {
+                field.value = draft[field.name];
+                this.hasRestoredDraft = true;
+                // Service options arrive with the catalogue; remember the choice until then
+                if (field.tagName === 'SELECT') {
+                    field.dataset.draftValue = draft[field.name];
+                }
             }
+        });
+    }
+
+    clearDraft() {
+        clearTimeout(this.saveTimer);
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('Could not clear the contact form draft:', error);
         }
     }
 
     /**
-     * Announce messages to screen readers
-     * @param {string} message - Message to announce
+     * Remember when the visitor started filling in the form
      */
-    announceToScreenReader(message) {
-        const announcement = document.createElement('div');
-        announcement.setAttribute('aria-live', 'polite');
-        announcement.setAttribute('aria-atomic', 'true');
-        announcement.classList.add('sr-only');
-        announcement.textContent = message;
-        
-        document.body.appendChild(announcement);
-        
-        // Remove the announcement after a short delay
-        setTimeout(() => {
-            document.body.removeChild(announcement);
-        }, 1000);
+    markStarted() {
+        if (this.startedAt === null) {
+            this.startedAt = Date.now();
+        }
     }
 
     /**
-     * Debounce utility function for performance optimization
-     * @param {Function} func - Function to debounce
-     * @param {number} wait - Wait time in milliseconds
-     * @returns {Function} Debounced function
+     * Bots fill every field, hidden ones included, and submit instantly.
+     * A restored draft was typed on an earlier visit, so it skips the timing check.
+     * @returns {boolean} True if the submission looks automated
      */
-    debounce(func, wait) {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                func(...args);
-            };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
+    isLikelySpam() {
+        if (this.honeypot && this.honeypot.value) return true;
+        if (this.hasRestoredDraft) return false;
+        return this.startedAt === null || Date.now() - this.startedAt < this.minFillTime;
+    }
+
+    submit() {
+        if (this.isSending) return;
+
+        const invalid = this.fields.filter(field => !this.validateField(field));
+        if (invalid.length) {
+            invalid[0].focus();
+            this.setStatus('error', i18n.t('contactForm.status.invalid', { count: invalid.length }));
+            return;
+        }
+
+        const values = this.getValues();
+
+        // Look successful so bots learn nothing, but send nothing
+        if (this.isLikelySpam()) {
+            this.finish('sent', values, { track: false });
+            return;
+        }
+
+        const message = {
+            ...values,
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            language: i18n.language,
+            page: window.location.href,
+            createdAt: new Date().toISOString()
         };
+
+        this.setSending(true);
+        this.setStatus('', i18n.t('contactForm.status.sending'));
+
+        contactOutbox.submit(message)
+            .then(({ status }) => this.finish(status, values))
+            .catch(error => {
+                const isUnavailable = error.code === 'unavailable';
+                const text = i18n.t(isUnavailable ? 'contactForm.status.unavailable' : 'contactForm.status.error');
+                console.error('Contact form controller: Could not send the message:', error.message);
+                analytics.track('contact_form', { status: isUnavailable ? 'unavailable' : 'failed', service: values.service });
+                this.setStatus('error', text, this.getFallbackLinks());
+                notifications.show(text, { type: 'error', announce: false });
+            })
+            .then(() => this.setSending(false));
+    }
+
+    /**
+     * Reset the form after a message has been sent or queued
+     * @param {string} status - "sent" or "queued"
+     * @param {Object} values - Submitted values
+     * @param {Object} [options]
+     * @param {boolean} [options.track=true] - Report the submission to analytics
+     */
+    finish(status, values, { track = true } = {}) {
+        if (track) {
+            analytics.track('contact_form', { status, service: values.service });
+        }
+
+        this.form.reset();
+        this.fields.forEach(field => {
+            field.removeAttribute('aria-invalid');
+            delete field.dataset.draftValue;
+        });
+        this.clearDraft();
+        this.startedAt = null;
+        this.hasRestoredDraft = false;
+
+        // Without preferences consent a queued message lives only as long as this page
+        const queuedKey = consent.isGranted('preferences') ? 'contactForm.status.queued' : 'contactForm.status.queuedSession';
+        const text = i18n.t(status === 'queued' ? queuedKey : 'contactForm.status.sent', { name: values.name });
+        this.setStatus('success', text);
+        notifications.show(text, { type: status === 'queued' ? 'info' : 'success', announce: false });
+    }
+
+    setSending(isSending) {
+        this.isSending = isSending;
+        if (this.submitButton) {
+            this.submitButton.disabled = isSending;
+            this.submitButton.setAttribute('aria-busy', String(isSending));
+        }
+    }
+
+    /**
+     * Other ways to reach the business, for when the form can't deliver
+     * @returns {Array<{href: string, text: string}>}
+     */
+    getFallbackLinks() {
+        return [
+            { href: siteConfig.getHref('mailto'), text: i18n.t('contactForm.status.emailInstead') },
+            { href: siteConfig.getHref('whatsapp'), text: i18n.t('contactForm.status.chatInstead') }
+        ].filter(link => link.href);
+    }
+
+    /**
+     * @param {string} state - success, error or an empty string for neutral progress text
+     * @param {string} text - Status text
+     * @param {Array<{href: string, text: string}>} [links=[]] - Links shown after the text
+     */
+    setStatus(state, text, links = []) {
+        if (!this.status) return;
+
+        this.status.textContent = text;
+        links.forEach(({ href, text: label }) => {
+            const link = document.createElement('a');
+            link.href = href;
+            link.textContent = label;
+            link.className = 'contact-form-fallback';
+            if (href.startsWith('http')) {
+                link.target = '_blank';
+                link.rel = 'noopener';
+            }
+            this.status.append(' ', link);
+        });
+        this.status.dataset.state = state;
+        this.status.hidden = !text;
+    }
+
+    destroy() {
+        this.abortController.abort();
+        clearTimeout(this.saveTimer);
+        this.initialized = false;
     }
 }
 
-class TestimonialsController {
+/**
+ * Theme Toggle Controller
+ * Header button that steps through the system, light and dark modes of themeManager.
+ */
+class ThemeToggleController {
     /**
-     * @param {string} carouselId The ID of the main carousel container.
+     * @param {HTMLElement|string} [root='.theme-btn'] Toggle button or selector.
      */
-    constructor(carouselId) {
-        this.carouselId = carouselId;
+    constructor(root = '.theme-btn') {
+        this.button = typeof root === 'string' ? document.querySelector(root) : root;
+        this.abortController = new AbortController();
         this.initialized = false;
-        this.retryCount = 0;
-        this.maxRetries = 5;
 
-        // Defer initialization until the DOM is fully loaded.
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.initialize());
-        } else {
-            // Use a small timeout to ensure all elements are rendered.
-            setTimeout(() => this.initialize(), 100);
+        this.init();
+    }
+
+    init() {
+        if (!this.button) {
+            console.warn('Theme toggle controller: No theme button found.');
+            return;
         }
+
+        const { signal } = this.abortController;
+
+        this.button.addEventListener('click', () => this.toggle(), { signal });
+        document.addEventListener('theme:change', () => this.render(), { signal });
+        document.addEventListener('language:change', () => this.render(), { signal });
+
+        this.render();
+        this.initialized = true;
     }
 
-    initialize() {
-        if (this.initialized) return;
+    toggle() {
+        const mode = themeManager.getNextMode();
+        themeManager.setMode(mode);
+        analytics.track('theme_change', { mode });
 
-        // Select elements within the specific carousel container
-        this.carousel = document.getElementById(this.carouselId);
-        if (!this.carousel) {
-            console.error(`Testimonials carousel: Container with id "${this.carouselId}" not found.`);
+        notifications.announce(i18n.t('theme.changed', {
+            mode: i18n.t(`theme.modes.${mode}`)
+        }));
+    }
+
+    /**
+     * Show the current mode's icon and describe what the next press does
+     */
+    render() {
+        this.button.dataset.mode = themeManager.mode;
+        this.button.setAttribute('aria-label', i18n.t('theme.toggle', {
+            mode: i18n.t(`theme.modes.${themeManager.mode}`),
+            next: i18n.t(`theme.modes.${themeManager.getNextMode()}`)
+        }));
+        this.button.title = this.button.getAttribute('aria-label');
+    }
+
+    destroy() {
+        this.abortController.abort();
+        this.initialized = false;
+    }
+}
+
+/**
+ * Availability Status Controller
+ * Shows whether the team is around right now, or when it next will be
+ */
+class AvailabilityController {
+    /**
+     * @param {HTMLElement|string} [root='.availability'] Status element or selector.
+     */
+    constructor(root = '.availability') {
+        this.element = typeof root === 'string' ? document.querySelector(root) : root;
+        this.abortController = new AbortController();
+        this.initialized = false;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.element) {
+            console.warn('Availability controller: No status element found.');
             return;
         }
 
-        this.track = this.carousel.querySelector('.carousel-track');
-        this.prevBtn = this.carousel.querySelector('.carousel-btn[id*="prev"]');
-        this.nextBtn = this.carousel.querySelector('.carousel-btn[id*="next"]');
-        this.indicatorsContainer = this.carousel.querySelector('.carousel-indicators');
-        this.liveRegion = this.carousel.querySelector('[aria-live="polite"]');
-        this.testimonials = this.carousel.querySelectorAll('.testimonial-slide');
+        this.text = this.element.querySelector('[data-availability-text]') || this.element;
 
-        // Check if all required elements are present before proceeding
-        const requiredElements = this.track && this.prevBtn && this.nextBtn && this.testimonials.length > 0;
+        const { signal } = this.abortController;
+        document.addEventListener('availability:change', () => this.render(), { signal });
+        document.addEventListener('language:change', () => this.render(), { signal });
 
-        if (!requiredElements && this.retryCount < this.maxRetries) {
-            this.retryCount++;
-            console.warn(`Testimonials carousel (${this.carouselId}): Required elements not found. Retrying...`);
-            setTimeout(() => this.initialize(), 200);
-            return;
+        this.render();
+
+        this.initialized = true;
+    }
+
+    render() {
+        const status = businessHours.status || businessHours.getStatus();
+
+        this.element.dataset.state = status.isOpen ? 'open' : 'closed';
+        this.text.textContent = businessHours.describe(status);
+    }
+
+    destroy() {
+        this.abortController.abort();
+        this.initialized = false;
+    }
+}
+
+// What the diagnostics panel checks for each component: elements it cannot work without
+// (selectors within its root) and scripted interactions. A check throws to fail and may
+// return a note; it must leave the component the way it found it.
+const componentDiagnostics = {
+    header: {
+        required: ['.nav', '#mobile-toggle', '#language-toggle', '#language-dropdown', '.nav-link'],
+        checks: [
+            {
+                label: 'Language menu opens and closes',
+                run: (controller) => {
+                    controller.toggleLanguageDropdown();
+                    const opened = controller.isLanguageDropdownOpen;
+                    controller.toggleLanguageDropdown();
+                    if (!opened || controller.isLanguageDropdownOpen) {
+                        throw new Error('Menu did not toggle');
+                    }
+                }
+            }
+        ]
+    },
+    hero: {
+        required: ['.btn-primary', '.btn-secondary'],
+        checks: [
+            {
+                label: 'Call-to-action buttons are wired',
+                run: (controller) => {
+                    if (!controller.primaryBtn || !controller.secondaryBtn) {
+                        throw new Error('Controller is missing a button');
+                    }
+                }
+            }
+        ]
+    },
+    services: {
+        required: ['.services-grid'],
+        checks: [
+            {
+                label: 'Every service has a card',
+                run: (controller, root) => {
+                    const cards = root.querySelectorAll('.service-card').length;
+                    if (!controller.services.length || cards !== controller.services.length) {
+                        throw new Error(`${controller.services.length} services, ${cards} cards`);
+                    }
+                    return `${cards} cards`;
+                }
+            },
+            {
+                label: 'Details dialog opens and closes',
+                run: (controller) => {
+                    const [service] = controller.services;
+                    if (!service) throw new Error('No services loaded');
+                    if (controller.dialog.isOpen) return 'Skipped: a service dialog is already open';
+
+                    // Drive the dialog itself: openDetails() would rewrite the hash and the card click is tracked
+                    const { hash } = window.location;
+                    controller.dialog.open(service);
+                    const opened = controller.dialog.isOpen;
+                    controller.dialog.close();
+                    if (window.location.hash !== hash) controller.replaceHash(hash);
+                    if (!opened || controller.dialog.isOpen) {
+                        throw new Error('Dialog did not toggle');
+                    }
+                }
+            }
+        ]
+    },
+    testimonials: {
+        required: ['.carousel-track', '.testimonial-slide', '.carousel-btn[id*="prev"]', '.carousel-btn[id*="next"]', '.carousel-indicators'],
+        checks: [
+            {
+                label: 'Next and previous buttons move the carousel',
+                run: (controller, root, wait) => {
+                    if (!controller.initialized) throw new Error('Carousel is not initialized');
+                    if (controller.maxIndex === 0) return 'Only one group; nothing to move';
+
+                    const start = controller.getRealIndex();
+                    controller.nextBtn.click();
+                    return wait(800)
+                        .then(() => {
+                            if (controller.getRealIndex() === start) throw new Error('Next did not move');
+                            controller.prevBtn.click();
+                            return wait(800);
+                        })
+                        .then(() => {
+                            if (controller.getRealIndex() !== start) throw new Error('Previous did not return');
+                        });
+                }
+            }
+        ]
+    },
+    faq: {
+        required: ['.faq-question', '.faq-answer'],
+        checks: [
+            {
+                label: 'Questions expand and collapse',
+                run: (controller) => {
+                    const [question] = controller.questions;
+                    if (!question) throw new Error('No questions');
+
+                    // Bypass toggle() so nothing is tracked, then put back what the visitor had open
+                    const { hash } = window.location;
+                    const wasOpen = controller.questions.filter(item => item.getAttribute('aria-expanded') === 'true');
+                    const restore = () => {
+                        controller.questions
+                            .filter(item => !wasOpen.includes(item))
+                            .forEach(item => controller.close(item, { updateHash: false }));
+                        wasOpen.forEach(item => controller.open(item, { updateHash: false }));
+                        if (window.location.hash !== hash) controller.replaceHash(hash);
+                    };
+
+                    controller.close(question, { updateHash: false });
+                    const closed = question.getAttribute('aria-expanded') === 'false';
+                    controller.open(question, { updateHash: false });
+                    const opened = question.getAttribute('aria-expanded') === 'true';
+                    restore();
+                    if (!closed || !opened) {
+                        throw new Error('aria-expanded did not toggle');
+                    }
+                }
+            }
+        ]
+    },
+    map: {
+        required: ['.map-wrapper', '.map-facade', '.map-facade-load', '[data-map-address]'],
+        checks: [
+            {
+                label: 'Maps links point at the address',
+                run: (controller, root) => {
+                    const query = encodeURIComponent(controller.location.query);
+                    const stale = Array.from(root.querySelectorAll('[data-map-link]'))
+                        .filter(link => !link.href.includes(query))
+                        .map(link => link.dataset.mapLink);
+                    if (stale.length) throw new Error(`Wrong address: ${stale.join(', ')}`);
+                }
+            }
+        ]
+    },
+    availability: {
+        required: ['[data-availability-text]'],
+        checks: [
+            {
+                label: 'Opening hours status is shown',
+                run: (controller, root) => {
+                    const text = root.querySelector('[data-availability-text]').textContent.trim();
+                    if (!text || !['open', 'closed'].includes(root.dataset.state)) {
+                        throw new Error('No status rendered');
+                    }
+                    return root.dataset.state;
+                }
+            }
+        ]
+    },
+    'contact-form': {
+        required: ['[name="name"]', '[name="email"]', '[name="message"]', '[name="website"]', '[type="submit"]', '.contact-form-status'],
+        checks: [
+            {
+                label: 'Validation rejects bad email and phone numbers',
+                run: (controller) => {
+                    const failures = [
+                        controller.getError({ name: 'email', value: 'name@' }) === 'emailInvalid' ? null : 'email',
+                        controller.isValidPhone('07123 456789') && controller.isValidPhone('+44 7123 456789') ? null : 'valid phone',
+                        controller.isValidPhone('12345') ? 'invalid phone' : null
+                    ].filter(Boolean);
+                    if (failures.length) throw new Error(`Wrong result for ${failures.join(', ')}`);
+                }
+            }
+        ]
+    },
+    'theme-toggle': {
+        required: ['.theme-icon'],
+        checks: [
+            {
+                label: 'Steps through every mode and back',
+                run: (controller, root) => {
+                    const start = themeManager.mode;
+                    themeManager.modes.forEach(() => {
+                        themeManager.setMode(themeManager.getNextMode(), { save: false });
+                        if (root.dataset.mode !== themeManager.mode) {
+                            throw new Error(`Button shows ${root.dataset.mode}, theme is ${themeManager.mode}`);
+                        }
+                    });
+                    if (themeManager.mode !== start) throw new Error('Did not return to the starting mode');
+                }
+            }
+        ]
+    }
+};
+
+/**
+ * Diagnostics Panel
+ * Developer overlay listing every mounted component with its state, missing required
+ * elements, running timers and observers, listener count and translation coverage,
+ * with buttons that run the scripted checks in componentDiagnostics.
+ *
+ * Opened with ?debug=1 (kept for the tab's session; ?debug=0 forgets it) or Ctrl+Alt+D,
+ * which turns debug mode on or off for the tab. Listener counts need debug mode from page
+ * load, since they are tallied as listeners are added.
+ */
+class DiagnosticsPanel {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.param='debug'] - Query parameter that turns debug mode on or off
+     * @param {string} [options.storageKey='diagnostics'] - sessionStorage key remembering debug mode
+     */
+    constructor({ param = 'debug', storageKey = 'diagnostics' } = {}) {
+        this.param = param;
+        this.storageKey = storageKey;
+        this.panel = null;
+        this.listenerCounts = null;
+        this.originalAddEventListener = null;
+        // Check results by component element, then by check index
+        this.results = new WeakMap();
+        this.abortController = null;
+    }
+
+    init() {
+        if (this.abortController) return;
+
+        const isRequested = this.isRequested();
+        if (isRequested) {
+            this.trackListeners();
         }
 
-        if (requiredElements) {
-            console.log(`TestimonialsController (${this.carouselId}): Initializing...`);
-            this.initialized = true;
-            this.setupState();
-            this.init();
-        } else {
-            console.error(`Testimonials carousel (${this.carouselId}): Could not find required elements after retries.`);
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+
+        document.addEventListener('keydown', (e) => this.handleShortcut(e), { signal });
+
+        // Translation coverage changes with the language (and is only known once bundles arrive)
+        document.addEventListener('language:change', () => {
+            if (this.isOpen) this.render();
+        }, { signal });
+
+        if (isRequested) {
+            window.addEventListener('load', () => this.open(), { once: true, signal });
         }
     }
 
-    setupState() {
-        this.currentIndex = 0;
-        this.totalSlides = this.testimonials.length;
-        this.slidesVisible = 3;
-        this.autoPlayInterval = null;
-        this.autoPlayDelay = 6000;
-        this.isAutoPlaying = true;
-        this.isPaused = false;
+    /**
+     * Ctrl+Alt+D turns debug mode on and opens the panel, or closes it again.
+     * AltGr reports itself as Ctrl+Alt on Windows and types characters on many layouts,
+     * and text fields keep their own keys.
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleShortcut(e) {
+        if (!e.ctrlKey || !e.altKey || e.code !== 'KeyD') return;
+        if (e.getModifierState && e.getModifierState('AltGraph')) return;
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])')) return;
+
+        e.preventDefault();
+        this.toggle();
     }
 
-    init() {
-        this.calculateDimensions();
-        this.createIndicators();
-        this.setupEventListeners();
-        this.updateCarousel(false); // Initial update without transition
-        this.setupAutoPlay();
+    /**
+     * Whether the URL or an earlier page in this tab asked for debug mode
+     * @returns {boolean} True to start with the panel open
+     */
+    isRequested() {
+        const value = new URLSearchParams(window.location.search).get(this.param);
+        try {
+            if (value === '1') {
+                sessionStorage.setItem(this.storageKey, '1');
+            } else if (value === '0') {
+                sessionStorage.removeItem(this.storageKey);
+            }
+            return sessionStorage.getItem(this.storageKey) === '1';
+        } catch (error) {
+            return value === '1';
+        }
     }
 
-    calculateDimensions() {
-        if (window.innerWidth <= 768) this.slidesVisible = 1;
-        else if (window.innerWidth <= 1024) this.slidesVisible = 2;
-        else this.slidesVisible = 3;
+    /**
+     * Count listeners per AbortSignal; every controller registers its listeners with one
+     */
+    trackListeners() {
+        if (this.listenerCounts) return;
 
-        this.maxIndex = Math.max(0, this.totalSlides - this.slidesVisible);
-        if (this.currentIndex > this.maxIndex) {
-            this.currentIndex = this.maxIndex;
+        const counts = new WeakMap();
+        const addEventListener = EventTarget.prototype.addEventListener;
+        this.originalAddEventListener = addEventListener;
+
+        EventTarget.prototype.addEventListener = function (type, listener, options) {
+            const signal = options && typeof options === 'object' ? options.signal : null;
+            if (signal && !signal.aborted) {
+                if (!counts.has(signal)) {
+                    counts.set(signal, 0);
+                    addEventListener.call(signal, 'abort', () => counts.set(signal, 0), { once: true });
+                }
+                counts.set(signal, counts.get(signal) + 1);
+            }
+            return addEventListener.call(this, type, listener, options);
+        };
+
+        this.listenerCounts = counts;
+    }
+
+    /**
+     * Put the browser's own addEventListener back
+     */
+    untrackListeners() {
+        if (!this.originalAddEventListener) return;
+
+        EventTarget.prototype.addEventListener = this.originalAddEventListener;
+        this.originalAddEventListener = null;
+        this.listenerCounts = null;
+    }
+
+    get isOpen() {
+        return Boolean(this.panel && !this.panel.hidden);
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (!this.panel) {
+            this.build();
+        }
+        try {
+            sessionStorage.setItem(this.storageKey, '1');
+        } catch (error) {
+            // Only affects whether the panel reopens on the next page
         }
+
+        this.render();
+        this.panel.hidden = false;
+        this.panel.querySelector('.diagnostics-title').focus();
     }
 
-    createIndicators() {
-        if (!this.indicatorsContainer) return;
-        this.indicatorsContainer.innerHTML = '';
-        for (let i = 0; i <= this.maxIndex; i++) {
-            const dot = document.createElement('button');
-            dot.className = 'carousel-dot';
-            dot.setAttribute('aria-label', `Go to testimonial group ${i + 1}`);
-            dot.addEventListener('click', () => this.goToSlide(i));
-            this.indicatorsContainer.appendChild(dot);
+    close() {
+        if (!this.panel) return;
+
+        this.panel.hidden = true;
+        try {
+            sessionStorage.removeItem(this.storageKey);
+        } catch (error) {
+            // Nothing to forget
         }
-        this.updateIndicators();
     }
 
-    setupEventListeners() {
-        this.prevBtn.addEventListener('click', () => this.handleControlClick(this.previousSlide));
-        this.nextBtn.addEventListener('click', () => this.handleControlClick(this.nextSlide));
+    build() {
+        this.panel = document.createElement('aside');
+        this.panel.className = 'diagnostics';
+        this.panel.setAttribute('aria-labelledby', 'diagnostics-title');
+        this.panel.hidden = true;
+        this.panel.innerHTML = `
+            <div class="diagnostics-header">
+                <h2 class="diagnostics-title" id="diagnostics-title" tabindex="-1">Diagnostics</h2>
+                <button type="button" class="diagnostics-btn" data-diagnostics-action="run-all">Run all checks</button>
+                <button type="button" class="diagnostics-btn" data-diagnostics-action="refresh">Refresh</button>
+                <button type="button" class="diagnostics-btn" data-diagnostics-action="close" aria-label="Close diagnostics">&times;</button>
+            </div>
+            <div class="diagnostics-body"></div>
+        `;
 
-        this.carousel.addEventListener('mouseenter', () => this.pauseAutoPlay());
-        this.carousel.addEventListener('mouseleave', () => this.resumeAutoPlayAfterDelay());
-        this.carousel.addEventListener('focusin', () => this.pauseAutoPlay());
-        this.carousel.addEventListener('focusout', (e) => {
-            if (!this.carousel.contains(e.relatedTarget)) {
-                this.resumeAutoPlayAfterDelay();
-            }
-        });
+        const { signal } = this.abortController;
+        this.panel.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
 
-        // Touch support
-        let startX = 0;
-        this.track.addEventListener('touchstart', (e) => { startX = e.touches[0].clientX; }, { passive: true });
-        this.track.addEventListener('touchend', (e) => {
-            const endX = e.changedTouches[0].clientX;
-            if (Math.abs(startX - endX) > 50) {
-                this.handleControlClick(startX > endX ? this.nextSlide : this.previousSlide);
+            if (button.dataset.diagnosticsCheck) {
+                const [entryIndex, checkIndex] = button.dataset.diagnosticsCheck.split(':').map(Number);
+                this.runCheck(this.entries[entryIndex], checkIndex);
+                return;
             }
-        }, { passive: true });
 
-        // Resize handler
-        window.addEventListener('resize', this.debounce(() => {
-            this.calculateDimensions();
-            this.createIndicators();
-            this.updateCarousel(false);
-        }, 250));
-    }
+            switch (button.dataset.diagnosticsAction) {
+                case 'run-all':
+                    this.runAll();
+                    break;
+                case 'refresh':
+                    this.render();
+                    break;
+                case 'close':
+                    this.close();
+                    break;
+            }
+        }, { signal });
 
-    handleControlClick(action) {
-        this.pauseAutoPlay();
-        action.call(this);
-        this.resumeAutoPlayAfterDelay();
-    }
+        this.panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            }
+        }, { signal });
 
-    // --- Core Logic ---
-    goToSlide(index) {
-        if (index >= 0 && index <= this.maxIndex) {
-            this.currentIndex = index;
-            this.updateCarousel();
-        }
+        document.body.appendChild(this.panel);
     }
 
-    nextSlide() {
-        this.currentIndex = (this.currentIndex + 1 > this.maxIndex) ? 0 : this.currentIndex + 1;
-        this.updateCarousel();
-    }
+    /**
+     * Everything worth knowing about one mounted component
+     * @param {HTMLElement} root - Component element
+     * @param {string} name - Component name
+     * @param {Object} instance - Controller
+     * @returns {Object} Report
+     */
+    inspect(root, name, instance) {
+        const spec = componentDiagnostics[name] || {};
+        const state = {};
+        const timers = [];
+        const observers = [];
 
-    previousSlide() {
-        this.currentIndex = (this.currentIndex - 1 < 0) ? this.maxIndex : this.currentIndex - 1;
-        this.updateCarousel();
-    }
+        Object.entries(instance).forEach(([key, value]) => {
+            if (value === null || value === undefined || value === false) {
+                if (key === 'initialized') state[key] = false;
+                return;
+            }
+            if (/(Timer|Timeout|Interval)$/.test(key)) {
+                timers.push(key);
+            } else if (/Observer$/.test(key)) {
+                observers.push(key);
+            } else if (['boolean', 'number', 'string'].includes(typeof value)) {
+                state[key] = value;
+            }
+        });
 
-    updateCarousel(enableTransition = true) {
-        if (!this.track || !this.testimonials[this.currentIndex]) return;
-        
-        // Use offsetLeft for precise pixel-based positioning
-        const targetSlide = this.testimonials[this.currentIndex];
-        const offset = -targetSlide.offsetLeft;
+        const missing = (spec.required || []).filter(selector => (
+            !root.matches(selector) && !root.querySelector(selector)
+        ));
 
-        // Temporarily disable transition for instant updates (e.g., on resize)
-        this.track.style.transition = enableTransition ? 'transform 0.5s ease' : 'none';
-        this.track.style.transform = `translateX(${offset}px)`;
+        const signal = instance.abortController && instance.abortController.signal;
+        const listeners = this.listenerCounts && signal ? this.listenerCounts.get(signal) || 0 : null;
 
-        this.updateIndicators();
-        this.updateControlStates();
-        this.announceSlideChange();
+        return { state, timers, observers, missing, listeners, translations: this.getCoverage(root) };
     }
 
-    updateIndicators() {
-        if (!this.indicatorsContainer) return;
-        const dots = this.indicatorsContainer.querySelectorAll('.carousel-dot');
-        dots.forEach((dot, index) => {
-            dot.classList.toggle('active', index === this.currentIndex);
+    /**
+     * Which translation keys used inside a component resolve in the active language
+     * @param {HTMLElement} root - Component element
+     * @returns {{total: number, fallback: string[], missing: string[]}} Coverage
+     */
+    getCoverage(root) {
+        const keys = new Set();
+        const elements = [root, ...root.querySelectorAll('[data-i18n], [data-i18n-html], [data-i18n-attr]')];
+
+        elements.forEach(element => {
+            if (element.dataset.i18n) keys.add(element.dataset.i18n);
+            if (element.dataset.i18nHtml) keys.add(element.dataset.i18nHtml);
+            if (element.dataset.i18nAttr) {
+                element.dataset.i18nAttr.split(';').forEach(pair => {
+                    const key = pair.split(':')[1];
+                    if (key) keys.add(key.trim());
+                });
+            }
         });
-    }
 
-    updateControlStates() {
-        const showControls = this.totalSlides > this.slidesVisible;
-        this.prevBtn.style.display = showControls ? 'flex' : 'none';
-        this.nextBtn.style.display = showControls ? 'flex' : 'none';
-    }
+        const fallback = [];
+        const missing = [];
+        keys.forEach(key => {
+            if (i18n.lookup(key, [i18n.language]) !== undefined) return;
+            if (i18n.lookup(key) !== undefined) {
+                fallback.push(key);
+            } else {
+                missing.push(key);
+            }
+        });
 
-    announceSlideChange() {
-        if (this.liveRegion) {
-            const message = `Showing testimonial group ${this.currentIndex + 1} of ${this.maxIndex + 1}`;
-            this.liveRegion.textContent = message;
-        }
+        return { total: keys.size, fallback, missing };
     }
 
-    // --- Autoplay ---
-    setupAutoPlay() {
-        if (this.totalSlides <= this.slidesVisible) {
-            this.isAutoPlaying = false;
-            return;
-        }
-        this.startAutoPlay();
-    }
+    render() {
+        if (!this.panel) return;
 
-    startAutoPlay() {
-        if (!this.isAutoPlaying || this.autoPlayInterval) return;
-        this.autoPlayInterval = setInterval(() => this.nextSlide(), this.autoPlayDelay);
-    }
+        const escape = value => i18n.escapeHTML(String(value));
+        const body = this.panel.querySelector('.diagnostics-body');
+        const openItems = new Set(Array.from(body.querySelectorAll('details[open]'), item => item.dataset.index));
 
-    pauseAutoPlay() {
-        clearInterval(this.autoPlayInterval);
-        this.autoPlayInterval = null;
-    }
+        this.entries = Array.from(components.instances.entries(), ([root, { name, instance }]) => ({ root, name, instance }));
 
+        const items = this.entries.map((entry, index) => {
+            const report = this.inspect(entry.root, entry.name, entry.instance);
+            const { state, timers, observers, missing, listeners, translations } = report;
+            const checks = (componentDiagnostics[entry.name] || {}).checks || [];
+            const problems = missing.length + translations.missing.length;
+            const status = problems ? 'error' : (state.initialized === false ? 'warn' : 'ok');
 
+            const stateRows = Object.entries(state)
+                .map(([key, value]) => `<li><code>${escape(key)}</code> ${escape(value)}</li>`)
+                .join('');
+            const results = this.results.get(entry.root) || new Map();
+            const checkRows = checks.map((check, checkIndex) => {
+                const result = results.get(checkIndex);
+                return `
+                    <li class="diagnostics-check" ${result ? `data-result="${result.status}"` : ''}>
+                        <button type="button" class="diagnostics-btn" data-diagnostics-check="${index}:${checkIndex}">Run</button>
+                        <span>${escape(check.label)}</span>
+                        <output>${result ? escape(result.message) : ''}</output>
+                    </li>
+                `;
+            }).join('');
 
-    resumeAutoPlayAfterDelay() {
-        if (this.isAutoPlaying && !this.isPaused) {
-            // Wait a moment before resuming to avoid accidental rapid changes
-            setTimeout(() => this.startAutoPlay(), 1000);
-        }
-    }
+            return `
+                <details class="diagnostics-item" data-index="${index}" data-status="${status}" ${openItems.has(String(index)) ? 'open' : ''}>
+                    <summary>
+                        <span class="diagnostics-name">${escape(entry.name)}</span>
+                        <span class="diagnostics-status">${status}</span>
+                    </summary>
+                    <dl class="diagnostics-details">
+                        <dt>State</dt>
+                        <dd>${stateRows ? `<ul>${stateRows}</ul>` : 'None'}</dd>
+                        <dt>Missing elements</dt>
+                        <dd>${missing.length ? missing.map(selector => `<code>${escape(selector)}</code>`).join(' ') : 'None'}</dd>
+                        <dt>Timers</dt>
+                        <dd>${timers.length ? timers.map(key => `<code>${escape(key)}</code>`).join(' ') : 'None'}</dd>
+                        <dt>Observers</dt>
+                        <dd>${observers.length ? observers.map(key => `<code>${escape(key)}</code>`).join(' ') : 'None'}</dd>
+                        <dt>Listeners</dt>
+                        <dd>${listeners === null ? `Reload with ?${escape(this.param)}=1 to count` : listeners}</dd>
+                        <dt>Translations (${escape(i18n.language)})</dt>
+                        <dd>
+                            ${translations.total - translations.fallback.length - translations.missing.length}/${translations.total} translated
+                            ${translations.fallback.length ? `<br>Fallback: ${translations.fallback.map(key => `<code>${escape(key)}</code>`).join(' ')}` : ''}
+                            ${translations.missing.length ? `<br>Missing: ${translations.missing.map(key => `<code>${escape(key)}</code>`).join(' ')}` : ''}
+                        </dd>
+                    </dl>
+                    ${checkRows ? `<ul class="diagnostics-checks">${checkRows}</ul>` : ''}
+                </details>
+            `;
+        }).join('');
 
-    // --- Utility ---
-    debounce(func, wait) {
-        let timeout;
-        return (...args) => {
-            clearTimeout(timeout);
-            timeout = setTimeout(() => func(...args), wait);
-        };
+        const missingKeys = Array.from(i18n.missingKeys);
+        body.innerHTML = `
+            <p class="diagnostics-summary">
+                ${this.entries.length} components mounted · language ${escape(i18n.language)} ·
+                ${missingKeys.length} keys missing at runtime${missingKeys.length ? `: ${missingKeys.map(key => `<code>${escape(key)}</code>`).join(' ')}` : ''}
+            </p>
+            ${items}
+        `;
     }
-}
 
-// Instantiate controllers for each carousel on the page
-const englishCarousel = new TestimonialsController('testimonials-carousel');
-const spanishCarousel = new TestimonialsController('testimonials-carousel-es');
+    /**
+     * Run one scripted check and show its outcome
+     * @param {Object} entry - Component entry from this.entries
+     * @param {number} checkIndex - Index into the component's checks
+     * @returns {Promise<void>} Resolves once the result is shown
+     */
+    runCheck(entry, checkIndex) {
+        const check = componentDiagnostics[entry.name].checks[checkIndex];
+        const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-/**
- * FAQ Controller
- * Handles FAQ accordion functionality
- */
- document.addEventListener('DOMContentLoaded', () => {
-            // Get all FAQ question buttons
-            const faqQuestions = document.querySelectorAll('.faq-question');
-
-            faqQuestions.forEach(question => {
-                question.addEventListener('click', () => {
-                    // Find the parent item and the answer element
-                    const faqItem = question.parentElement;
-                    const faqAnswer = faqItem.querySelector('.faq-answer');
-
-                    // Find all other open answers to close them
-                    const openAnswers = document.querySelectorAll('.faq-answer.open');
-                    openAnswers.forEach(otherAnswer => {
-                        // Do not close the currently clicked item
-                        if (otherAnswer !== faqAnswer) {
-                            otherAnswer.classList.remove('open');
-                            otherAnswer.style.maxHeight = '0';
-                            otherAnswer.style.opacity = '0';
-                            const otherQuestion = otherAnswer.previousElementSibling;
-                            otherQuestion.setAttribute('aria-expanded', 'false');
-                        }
-                    });
+        if (!this.results.has(entry.root)) {
+            this.results.set(entry.root, new Map());
+        }
+        const results = this.results.get(entry.root);
 
-                    // Toggle the clicked FAQ item
-                    const isExpanded = question.getAttribute('aria-expanded') === 'true';
-
-                    if (isExpanded) {
-                        question.setAttribute('aria-expanded', 'false');
-                        faqAnswer.classList.remove('open');
-                        faqAnswer.style.maxHeight = '0';
-                        faqAnswer.style.opacity = '0';
-                    } else {
-                        question.setAttribute('aria-expanded', 'true');
-                        faqAnswer.classList.add('open');
-                        faqAnswer.style.maxHeight = faqAnswer.scrollHeight + 'px';
-                        faqAnswer.style.opacity = '1';
-                    }
-                });
+        results.set(checkIndex, { status: 'running', message: 'Running…' });
+        this.render();
+
+        return Promise.resolve()
+            .then(() => check.run(entry.instance, entry.root, wait))
+            .then(note => ({ status: 'pass', message: note ? `Passed: ${note}` : 'Passed' }))
+            .catch(error => {
+                console.warn(`Diagnostics: "${check.label}" failed for ${entry.name}:`, error);
+                return { status: 'fail', message: `Failed: ${error.message}` };
+            })
+            .then(result => {
+                results.set(checkIndex, result);
+                this.render();
             });
-        });
+    }
+
+    /**
+     * Run every check of every mounted component, one at a time
+     * @returns {Promise<void>} Resolves once all results are shown
+     */
+    runAll() {
+        // Renders replace this.entries, so work from the list as it is now
+        return this.entries.slice().reduce((previous, entry) => {
+            const checks = (componentDiagnostics[entry.name] || {}).checks || [];
+            return checks.reduce((chain, check, checkIndex) => chain.then(() => this.runCheck(entry, checkIndex)), previous);
+        }, Promise.resolve());
+    }
+
+    destroy() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+        this.untrackListeners();
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+    }
+}
 
+const diagnostics = new DiagnosticsPanel();
 
 /**
  * Global utility functions
  */
+/**
+ * Check whether an element is laid out right-to-left
+ * @param {HTMLElement} [element=document.documentElement] - Element to check
+ * @returns {boolean} True for RTL layouts
+ */
+function isRTL(element = document.documentElement) {
+    // The nearest dir attribute is cheap to read (tilt calls this on every mousemove)
+    const dirHost = element.closest('[dir]:not([dir="auto"])');
+    if (dirHost) {
+        return dirHost.getAttribute('dir') === 'rtl';
+    }
+    return getComputedStyle(element).direction === 'rtl';
+}
+
 function scrollToContact() {
     const contactSection = document.getElementById('contact');
     if (contactSection) {
@@ -1440,39 +8174,98 @@ function scrollToContact() {
     }
 }
 
-function openWhatsApp(service = '') {
-    const baseUrl = 'https://wa.me/447429917026';
-    let message = 'Hi Grow Nest, I\'d like a free consultation.';
-    
-    if (service) {
-        message = `Hi Grow Nest, I'm interested in your ${service} services. I'd like a free consultation.`;
+/**
+ * Open a WhatsApp chat with a prefilled message
+ * @param {string} [service=''] - Id of the service the visitor is interested in (see data/services.json)
+ * @param {string} [customMessage=''] - Message to send instead of the generated one
+ */
+function openWhatsApp(service = '', customMessage = '') {
+    clickToChat.open({ service, message: customMessage });
+}
+
+/**
+ * Connect the analytics sinks: the dataLayer always, a beacon endpoint when
+ * <meta name="analytics-endpoint"> names one, and the console during local development
+ */
+function initAnalytics() {
+    analytics.addSink(new DataLayerSink());
+
+    const endpoint = document.querySelector('meta[name="analytics-endpoint"]')?.content;
+    if (endpoint) {
+        analytics.addSink(new BeaconSink(endpoint));
     }
-    
-    const encodedMessage = encodeURIComponent(message);
-    const whatsappUrl = `${baseUrl}?text=${encodedMessage}`;
-    
-    window.open(whatsappUrl, '_blank', 'noopener,noreferrer');
+
+    if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
+        analytics.addSink(new ConsoleSink());
+    }
+
+    // Events only flow while the visitor allows analytics, and stop again if they withdraw it
+    const applyConsent = () => {
+        if (consent.isGranted('analytics')) {
+            analytics.enable();
+        } else {
+            analytics.disable();
+        }
+    };
+    applyConsent();
+    document.addEventListener('consent:change', applyConsent);
 }
 
+// Requests made through loadJSON(), by URL
+const jsonRequests = {};
+
 /**
- * Enhanced smooth scrolling for anchor links
+ * Fetch and parse a JSON file, once per URL; failed requests are retried on the next call
+ * @param {string} url - JSON file URL
+ * @returns {Promise<*>} Parsed JSON
  */
-function initSmoothScrolling() {
-    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-        anchor.addEventListener('click', function (e) {
-            e.preventDefault();
-            const target = document.querySelector(this.getAttribute('href'));
-            if (target) {
-                const headerHeight = document.querySelector('.header').offsetHeight;
-                const targetPosition = target.offsetTop - headerHeight - 20;
-                
-                window.scrollTo({
-                    top: targetPosition,
-                    behavior: 'smooth'
-                });
-            }
-        });
-    });
+function loadJSON(url) {
+    if (!jsonRequests[url]) {
+        jsonRequests[url] = fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .catch(error => {
+                delete jsonRequests[url];
+                throw error;
+            });
+    }
+    return jsonRequests[url];
+}
+
+/**
+ * Send booking requests to <meta name="booking-endpoint"> when it names one. Without one
+ * the dialog offers WhatsApp and email instead; the local transport stands in during development.
+ */
+function initBooking() {
+    const endpoint = document.querySelector('meta[name="booking-endpoint"]')?.content;
+    if (endpoint) {
+        booking.setTransport(new HttpTransport(endpoint));
+    } else if (LocalTransport.isAllowed()) {
+        booking.setTransport(new LocalTransport('booking'));
+    }
+
+    booking.init();
+}
+
+/**
+ * Send contact messages to <meta name="contact-endpoint"> when it names one. Without one
+ * the form offers email and WhatsApp instead; the local transport stands in during development.
+ */
+function initContactOutbox() {
+    const endpoint = document.querySelector('meta[name="contact-endpoint"]')?.content;
+    if (endpoint) {
+        contactOutbox.setTransport(new HttpTransport(endpoint));
+    } else if (LocalTransport.isAllowed()) {
+        contactOutbox.setTransport(new LocalTransport('contact'));
+    } else {
+        console.warn('Contact outbox: No contact-endpoint is configured, so the form cannot send messages.');
+    }
+
+    contactOutbox.init();
 }
 
 /**
@@ -1498,33 +8291,89 @@ function initIntersectionObserver() {
     });
 }
 
+/**
+ * Register sw.js and offer a reload once a new version has installed.
+ * The waiting worker only takes over when the visitor accepts, so a page is never
+ * swapped out from under someone mid-visit.
+ */
+function initServiceWorker() {
+    let isReloading = false;
+
+    const promptUpdate = (worker) => {
+        notifications.show(i18n.t('app.updateAvailable'), {
+            duration: 0,
+            action: {
+                label: i18n.t('app.reload'),
+                onClick: () => {
+                    isReloading = true;
+                    worker.postMessage({ type: 'SKIP_WAITING' });
+                }
+            }
+        });
+    };
+
+    navigator.serviceWorker.register('./sw.js')
+        .then(registration => {
+            // An update finished installing on an earlier visit and is still waiting
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                promptUpdate(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        promptUpdate(worker);
+                    }
+                });
+            });
+        })
+        .catch(registrationError => {
+            console.warn('Service worker registration failed:', registrationError);
+        });
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (isReloading) {
+            window.location.reload();
+        }
+    });
+}
+
 /**
  * Initialize all functionality when DOM is loaded
  */
+components.register('header', HeaderController);
+components.register('hero', HeroController);
+components.register('services', ServicesController);
+components.register('testimonials', TestimonialsController);
+components.register('faq', FAQController);
+components.register('map', MapController);
+components.register('availability', AvailabilityController);
+components.register('contact-form', ContactFormController);
+components.register('theme-toggle', ThemeToggleController);
+
 document.addEventListener('DOMContentLoaded', () => {
-    // Initialize main header controller
-    const headerController = new HeaderController();
-    
-    // Initialize hero section controller
-    const heroController = new HeroController();
-    
-    // Initialize services section controller
-    const servicesController = new ServicesController();
-    
-    // Initialize testimonials controller
-    const testimonialsController = new TestimonialsController();
-    
-    // Ensure testimonials controller is globally accessible for debugging
-    window.testimonialsController = testimonialsController;
-    
-    // Initialize FAQ controller
-    const faqController = new FAQController();
-    
-    // Make FAQ controller globally accessible for debugging
-    window.faqController = faqController;
+    // First, so debug mode can count the listeners everything else adds
+    diagnostics.init();
+    siteConfig.apply();
+    consent.init();
+    themeManager.init();
+    initAnalytics();
+    clickToChat.init();
+    businessHours.init();
+    initBooking();
+    initContactOutbox();
+    quoteWizard.init();
+
+    // Mount every data-component section, and keep mounting/unmounting as sections come and go
+    components.mount();
+    components.observe();
     
     // Initialize additional features
-    initSmoothScrolling();
+    sectionNavigator.init();
     
     // Initialize intersection observer if supported
     if ('IntersectionObserver' in window) {
@@ -1554,170 +8403,60 @@ document.addEventListener('visibilitychange', () => {
 });
 
 /**
- * Service Worker registration for PWA support (optional)
+ * Service Worker registration for offline support
  */
 if ('serviceWorker' in navigator && window.location.protocol === 'https:') {
-    window.addEventListener('load', () => {
-        navigator.serviceWorker.register('/sw.js')
-            .then(registration => {
-                console.log('SW registered: ', registration);
-            })
-            .catch(registrationError => {
-                console.log('SW registration failed: ', registrationError);
-            });
-    });
+    window.addEventListener('load', initServiceWorker);
 }
 
 // Export for potential module usage
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { 
+        I18n,
+        i18n,
+        LocaleRouter,
+        localeRouter,
+        ThemeManager,
+        themeManager,
+        NotificationManager,
+        notifications,
+        Modal,
+        ServiceDialog,
+        ComponentRegistry,
+        components,
+        Analytics,
+        ConsoleSink,
+        BeaconSink,
+        DataLayerSink,
+        analytics,
+        ConsentManager,
+        consent,
+        SiteConfig,
+        siteConfig,
+        BusinessHours,
+        businessHours,
+        ClickToChat,
+        clickToChat,
+        BookingWidget,
+        HttpTransport,
+        LocalTransport,
+        booking,
+        QuoteWizard,
+        quoteWizard,
+        ContactOutbox,
+        contactOutbox,
+        SectionNavigator,
+        sectionNavigator,
         HeaderController, 
         HeroController, 
         ServicesController, 
         TestimonialsController, 
-        FAQController
+        FAQController,
+        MapController,
+        AvailabilityController,
+        ContactFormController,
+        ThemeToggleController,
+        DiagnosticsPanel,
+        diagnostics
     };
-}
-
-/**
- * Debug functions for troubleshooting carousel and FAQ issues
- * Run these from browser console if sections are not working
- */
-window.debugTestimonials = function() {
-    console.log('=== TESTIMONIALS DEBUG ===');
-    
-    // Check if controller exists
-    const controller = window.testimonialsController;
-    console.log('Controller instance:', !!controller);
-    
-    if (controller) {
-        console.log('Controller initialized:', controller.initialized);
-        console.log('Retry count:', controller.retryCount);
-        console.log('Total slides:', controller.totalSlides);
-        console.log('Current index:', controller.currentIndex);
-        console.log('Max index:', controller.maxIndex);
-    }
-    
-    // Check DOM elements
-    const carousel = document.getElementById('testimonials-carousel');
-    const track = document.getElementById('carousel-track');
-    const prevBtn = document.getElementById('carousel-prev');
-    const nextBtn = document.getElementById('carousel-next');
-    const indicators = document.getElementById('carousel-indicators');
-    const slides = document.querySelectorAll('.testimonial-slide');
-    
-    console.log('DOM Elements:');
-    console.log('- Carousel container:', !!carousel);
-    console.log('- Track:', !!track);
-    console.log('- Previous button:', !!prevBtn);
-    console.log('- Next button:', !!nextBtn);
-    console.log('- Indicators container:', !!indicators);
-    console.log('- Slides found:', slides.length);
-    
-    if (prevBtn) {
-        console.log('- Prev button disabled:', prevBtn.disabled);
-        console.log('- Prev button pointer events:', getComputedStyle(prevBtn).pointerEvents);
-    }
-    
-    if (nextBtn) {
-        console.log('- Next button disabled:', nextBtn.disabled);
-        console.log('- Next button pointer events:', getComputedStyle(nextBtn).pointerEvents);
-    }
-    
-    if (indicators) {
-        console.log('- Indicator dots:', indicators.children.length);
-    }
-    
-    console.log('=== END TESTIMONIALS DEBUG ===');
-};
-
-window.debugFAQ = function() {
-    console.log('=== FAQ DEBUG ===');
-    
-    // Check if controller exists
-    const controller = window.faqController;
-    console.log('Controller instance:', !!controller);
-    
-    if (controller) {
-        console.log('Controller initialized:', controller.initialized);
-        console.log('Retry count:', controller.retryCount);
-    }
-    
-    // Check DOM elements
-    const faqItems = document.querySelectorAll('.faq-item');
-    console.log('FAQ items found:', faqItems.length);
-    
-    faqItems.forEach((item, index) => {
-        const question = item.querySelector('.faq-question');
-        const answer = item.querySelector('.faq-answer');
-        
-        console.log(`FAQ ${index + 1}:`);
-        console.log('- Question element:', !!question);
-        console.log('- Answer element:', !!answer);
-        
-        if (question) {
-            console.log('- Question text:', question.textContent.trim().substring(0, 50) + '...');
-            console.log('- ARIA expanded:', question.getAttribute('aria-expanded'));
-            console.log('- Tabindex:', question.getAttribute('tabindex'));
-            console.log('- Cursor style:', getComputedStyle(question).cursor);
-            console.log('- Disabled:', question.disabled);
-        }
-        
-        if (answer) {
-            console.log('- Answer max height:', getComputedStyle(answer).maxHeight);
-            console.log('- Answer opacity:', getComputedStyle(answer).opacity);
-            console.log('- Answer classes:', answer.className);
-        }
-    });
-    
-    console.log('=== END FAQ DEBUG ===');
-};
-
-window.testCarouselButtons = function() {
-    console.log('=== TESTING CAROUSEL BUTTONS ===');
-    
-    const prevBtn = document.getElementById('carousel-prev');
-    const nextBtn = document.getElementById('carousel-next');
-    
-    if (prevBtn) {
-        console.log('Clicking previous button...');
-        prevBtn.click();
-    }
-    
-    setTimeout(() => {
-        if (nextBtn) {
-            console.log('Clicking next button...');
-            nextBtn.click();
-        }
-    }, 1000);
-    
-    console.log('=== END BUTTON TEST ===');
-};
-
-window.testFAQClicks = function() {
-    console.log('=== TESTING FAQ CLICKS ===');
-    
-    const questions = document.querySelectorAll('.faq-question');
-    
-    questions.forEach((question, index) => {
-        setTimeout(() => {
-            console.log(`Clicking FAQ ${index + 1}...`);
-            question.click();
-        }, index * 1000);
-    });
-    
-    console.log('=== END FAQ TEST ===');
-};
-
-// Auto-run debug if there are console errors
-window.addEventListener('error', (event) => {
-    if (event.message.includes('testimonials') || event.message.includes('carousel')) {
-        console.log('Error detected related to testimonials - running debug:');
-        setTimeout(() => window.debugTestimonials(), 100);
-    }
-    
-    if (event.message.includes('faq') || event.message.includes('accordion')) {
-        console.log('Error detected related to FAQ - running debug:');
-        setTimeout(() => window.debugFAQ(), 100);
-    }
-});
\ No newline at end of file
+}
\ No newline at end of file
@@ -0,0 +1,134 @@
+/**
+ * Grow Nest Service Worker
+ * Precaches the site shell, serves same-origin assets stale-while-revalidate, and falls
+ * back to offline.html for pages that are not cached.
+ *
+ * Assets refresh themselves: each request answers from the cache and fetches the current
+ * file for next time, so an edited script.js or stylesheet is picked up on the following
+ * load without touching this file. Bump CACHE_VERSION when PRECACHE_URLS changes or to
+ * throw every cached copy away at once. The new worker then installs alongside the old
+ * one and waits until the page asks it to take over (SKIP_WAITING), which script.js does
+ * when the visitor accepts the "new version available" prompt.
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `grownest-shell-${CACHE_VERSION}`;
+const IMAGE_CACHE = `grownest-images-${CACHE_VERSION}`;
+const OFFLINE_URL = './offline.html';
+
+// The page is one HTML file translated at runtime, so every locale needs its bundle as well
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    OFFLINE_URL,
+    './style.css',
+    './script.js',
+    './manifest.webmanifest',
+    './data/services.json',
+    './data/pricing.json',
+    './data/bank-holidays.json',
+    './locales/en.json',
+    './locales/es.json',
+    './locales/ur.json',
+    './assets/2.png',
+    './assets/favicon.png',
+    './assets/grownest-logo.svg',
+    './assets/team-1.jpg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = [SHELL_CACHE, IMAGE_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('grownest-') && !currentCaches.includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Leave third-party requests (maps, WhatsApp, analytics) and non-GETs to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(event));
+    } else {
+        const cacheName = request.destination === 'image' ? IMAGE_CACHE : SHELL_CACHE;
+        event.respondWith(staleWhileRevalidate(event, cacheName));
+    }
+});
+
+/**
+ * Pages: network first so content stays current, then the cached shell, then the offline page
+ * @param {FetchEvent} event - Navigation fetch event
+ * @returns {Promise<Response>} Page response
+ */
+function handleNavigation(event) {
+    const { request } = event;
+
+    return fetch(request)
+        .then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.put(request, copy)));
+            }
+            return response;
+        })
+        .catch(() => caches.match(request, { ignoreSearch: true })
+            .then(cached => {
+                if (cached) return cached;
+
+                // ?lang= and /es/, /ur/ prefixes all render the same shell
+                const { pathname } = new URL(request.url);
+                if (pathname.endsWith('/') || pathname.endsWith('/index.html')) {
+                    return caches.match('./index.html');
+                }
+                return undefined;
+            })
+            .then(cached => cached || caches.match(OFFLINE_URL)));
+}
+
+/**
+ * Assets: answer from the cache straight away and refresh it in the background.
+ * The refresh is handed to waitUntil so the worker stays alive until the copy is stored.
+ * @param {FetchEvent} event - Asset fetch event
+ * @param {string} cacheName - Cache to read and refresh
+ * @returns {Promise<Response>} Asset response; a network error when neither cache nor network has it
+ */
+function staleWhileRevalidate(event, cacheName) {
+    const { request } = event;
+    const cacheOpened = caches.open(cacheName);
+    const network = fetch(request);
+
+    // Copy the body before the page starts reading it
+    event.waitUntil(network
+        .then(response => {
+            if (!response.ok) return undefined;
+            const copy = response.clone();
+            return cacheOpened.then(cache => cache.put(request, copy));
+        })
+        .catch(() => {}));
+
+    return cacheOpened
+        .then(cache => cache.match(request))
+        .then(cached => cached || network.catch(() => Response.error()));
+}